@@ -0,0 +1,152 @@
+import { MemoryHistoryStore } from '../history/memoryStore.js';
+import { AVAILABILITY } from '../utils/availability.js';
+
+/**
+ * Supported alert rule types
+ * priceBelow: price drops to or below rule.targetPrice
+ * onSale: isOnSale flips to true
+ * backInStock: product becomes available after being out of stock
+ */
+export const ALERT_TYPES = ['priceBelow', 'onSale', 'backInStock'];
+
+/**
+ * Alert manager
+ * Checks each getPrice result against alert rules and delivers matching events to sinks
+ */
+export class AlertManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object[]} options.rules - Alert rules, see addRule
+   * @param {Object[]} options.sinks - Sinks implementing send(event)
+   * @param {Object} options.stateStore - History store holding the last seen state per URL (default: in-memory)
+   */
+  constructor(options = {}) {
+    this.rules = [];
+    this.sinks = [];
+    this.stateStore = options.stateStore || new MemoryHistoryStore({ maxRecords: 1 });
+
+    (options.rules || []).forEach(rule => this.addRule(rule));
+    (options.sinks || []).forEach(sink => this.addSink(sink));
+  }
+
+  /**
+   * Add an alert rule
+   * Scope is per URL (rule.url), per vendor (rule.vendor), or global when neither is set
+   * @param {Object} rule - { id, type, url, vendor, targetPrice }
+   * @returns {AlertManager} - This manager, for chaining
+   */
+  addRule(rule) {
+    if (!rule || !ALERT_TYPES.includes(rule.type)) {
+      throw new Error(`Alert rule type must be one of: ${ALERT_TYPES.join(', ')}`);
+    }
+
+    if (rule.type === 'priceBelow' && !(typeof rule.targetPrice === 'number' && rule.targetPrice > 0)) {
+      throw new Error('priceBelow alert rule requires a positive targetPrice');
+    }
+
+    this.rules.push({ id: rule.id || `rule-${this.rules.length + 1}`, ...rule });
+    return this;
+  }
+
+  /**
+   * Add a delivery sink
+   * @param {Object} sink - Object with an async send(event) method
+   * @returns {AlertManager} - This manager, for chaining
+   */
+  addSink(sink) {
+    if (!sink || typeof sink.send !== 'function') {
+      throw new Error('Alert sink must implement send(event)');
+    }
+
+    this.sinks.push(sink);
+    return this;
+  }
+
+  /**
+   * Evaluate a getPrice result, record its state and deliver triggered events
+   * @param {Object} result - getPrice result
+   * @returns {Promise<Object[]>} - Triggered alert events
+   */
+  async process(result) {
+    const state = this.getState(result);
+    if (!state) return [];
+
+    const previous = await this.stateStore.getLatest(result.url);
+    await this.stateStore.append(result.url, state);
+
+    const events = this.rules
+      .filter(rule => this.inScope(rule, result))
+      .filter(rule => this.isTriggered(rule, state, previous))
+      .map(rule => ({
+        type: rule.type,
+        ruleId: rule.id,
+        url: result.url,
+        vendor: result.vendor,
+        price: state.price,
+        previousPrice: previous?.price ?? null,
+        targetPrice: rule.targetPrice ?? null,
+        currency: result.currency ?? null,
+        triggeredAt: new Date().toISOString()
+      }));
+
+    await this.deliver(events);
+    return events;
+  }
+
+  /**
+   * Reduce a result to the state alerts compare against
+   * Failed extractions carry no stock information and are skipped
+   */
+  getState(result) {
+    const outOfStock = result.availability === AVAILABILITY.OUT_OF_STOCK;
+
+    if (result.available) {
+      return { price: result.price, isOnSale: !!result.isOnSale, inStock: !outOfStock, scrapedAt: result.scrapedAt };
+    }
+
+    if (outOfStock) {
+      return { price: null, isOnSale: false, inStock: false, scrapedAt: new Date().toISOString() };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check rule scope against result
+   */
+  inScope(rule, result) {
+    if (rule.url) return rule.url === result.url;
+    if (rule.vendor) return rule.vendor === result.vendor;
+    return true;
+  }
+
+  /**
+   * Check if rule fires for the transition from previous to current state
+   */
+  isTriggered(rule, state, previous) {
+    switch (rule.type) {
+      case 'priceBelow':
+        return state.inStock && state.price <= rule.targetPrice &&
+          !(previous?.inStock && previous.price <= rule.targetPrice);
+      case 'onSale':
+        return state.inStock && state.isOnSale && !previous?.isOnSale;
+      case 'backInStock':
+        return state.inStock && previous?.inStock === false;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Send events to every sink; one failing sink does not block the others
+   */
+  async deliver(events) {
+    for (const event of events) {
+      const results = await Promise.allSettled(this.sinks.map(sink => sink.send(event)));
+
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error(`Error delivering ${event.type} alert for ${event.url}:`, result.reason));
+    }
+  }
+}
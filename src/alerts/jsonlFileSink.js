@@ -0,0 +1,28 @@
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Alert sink that appends events to a JSON Lines file
+ */
+export class JsonlFileSink {
+  /**
+   * @param {string} path - Path to the .jsonl file
+   */
+  constructor(path) {
+    if (!path) {
+      throw new Error('Alert log path is required');
+    }
+
+    this.path = path;
+  }
+
+  /**
+   * Append an alert event as one line
+   * @param {Object} event - Alert event
+   * @returns {Promise<void>}
+   */
+  async send(event) {
+    await mkdir(dirname(this.path), { recursive: true });
+    await appendFile(this.path, `${JSON.stringify(event)}\n`);
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Alert sink that writes events to stdout as JSON lines
+ */
+export class StdoutSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {Object} options.stream - Writable stream (default: process.stdout)
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stdout;
+  }
+
+  /**
+   * Write an alert event
+   * @param {Object} event - Alert event
+   * @returns {Promise<void>}
+   */
+  async send(event) {
+    this.stream.write(`${JSON.stringify(event)}\n`);
+  }
+}
@@ -0,0 +1,64 @@
+import axios from 'axios';
+import { createHmac } from 'crypto';
+import { retryWithBackoff } from '../utils/retry.js';
+
+/**
+ * Alert sink that POSTs events to an HTTP webhook
+ * When a secret is set, the body is signed with HMAC-SHA256 in the X-Signature header
+ */
+export class WebhookSink {
+  /**
+   * @param {string} url - Webhook URL
+   * @param {Object} options - Sink options
+   * @param {string} options.secret - HMAC signing secret
+   * @param {number} options.maxRetries - Delivery attempts (default: 3)
+   * @param {number} options.retryDelay - Initial backoff delay in ms (default: 1000)
+   * @param {number} options.timeout - Request timeout in ms (default: 10000)
+   */
+  constructor(url, options = {}) {
+    if (!url) {
+      throw new Error('Webhook URL is required');
+    }
+
+    this.url = url;
+    this.secret = options.secret || null;
+    this.maxRetries = options.maxRetries || 3;
+    this.retryDelay = options.retryDelay || 1000;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Deliver an alert event
+   * @param {Object} event - Alert event
+   * @returns {Promise<void>}
+   */
+  async send(event) {
+    const body = JSON.stringify(event);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.secret) {
+      headers['X-Signature'] = `sha256=${this.sign(body)}`;
+    }
+
+    try {
+      await retryWithBackoff(() => axios({
+        url: this.url,
+        method: 'POST',
+        headers,
+        timeout: this.timeout,
+        data: body
+      }), { maxRetries: this.maxRetries, retryDelay: this.retryDelay });
+    } catch (error) {
+      throw new Error(`Failed to deliver webhook after ${this.maxRetries} attempts: ${error.message || 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Compute hex HMAC-SHA256 signature of a request body
+   * @param {string} body - Raw request body
+   * @returns {string} - Hex digest
+   */
+  sign(body) {
+    return createHmac('sha256', this.secret).update(body).digest('hex');
+  }
+}
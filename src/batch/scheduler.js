@@ -0,0 +1,214 @@
+import { TokenBucket } from './tokenBucket.js';
+import { ScraperError, ERROR_CODES } from '../utils/errors.js';
+
+/**
+ * Batch scheduler
+ * Runs tasks under global and per-vendor concurrency limits and token-bucket rate limits.
+ * A task rejected with status 429 pauses all work (for Retry-After when given) and is queued again.
+ */
+export class BatchScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.concurrency - Tasks running at once across all vendors (default: 5)
+   * @param {Object} options.vendorConcurrency - Tasks running at once per vendor (e.g. { amazon: 2 })
+   * @param {Object} options.rateLimit - Global rate limit ({ tokensPerInterval, interval }, see TokenBucket)
+   * @param {Object} options.vendorRateLimits - Rate limits per vendor (e.g. { amazon: { tokensPerInterval: 1 } })
+   * @param {number} options.maxRateLimitRetries - Times a task is queued again after a 429 (default: 3)
+   * @param {number} options.rateLimitDelay - Pause after a 429 without Retry-After in ms, doubled per retry (default: 5000)
+   * @param {Function} options.now - Clock for rate limits and pauses, injectable for tests (default: Date.now)
+   * @param {Function} options.sleep - sleep(ms, signal) resolving after ms or once signal aborts, injectable for tests
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 5;
+    this.vendorConcurrency = options.vendorConcurrency || {};
+    this.maxRateLimitRetries = options.maxRateLimitRetries ?? 3;
+    this.rateLimitDelay = options.rateLimitDelay || 5000;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || sleepUntilAborted;
+    this.globalBucket = options.rateLimit ? new TokenBucket({ now: this.now, ...options.rateLimit }) : null;
+    this.vendorBuckets = new Map(
+      Object.entries(options.vendorRateLimits || {}).map(([vendor, limit]) => [vendor, new TokenBucket({ now: this.now, ...limit })])
+    );
+
+    // Rate limits and 429 pauses are shared by every batch run on this scheduler
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Run tasks and collect their outcomes
+   * @param {Object[]} tasks - [{ vendor, run }], run being an async function
+   * @param {Object} options - Run options (see stream)
+   * @returns {Promise<Object[]>} - Outcomes in input order ({ index, status, value } or { index, status, reason })
+   */
+  async run(tasks, options = {}) {
+    const outcomes = new Array(tasks.length);
+
+    for await (const outcome of this.stream(tasks, options)) {
+      outcomes[outcome.index] = outcome;
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Run tasks, yielding each outcome as soon as it settles (completion order)
+   * Once the signal aborts, queued tasks are rejected with 'Batch cancelled' and running ones are awaited
+   * @param {Object[]} tasks - [{ vendor, run }], run being an async function
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Cancels the batch
+   * @param {Function} options.onProgress - Called after each task with
+   *   { total, completed, succeeded, failed, inFlight, queued, index, vendor, status }
+   * @returns {AsyncGenerator<Object>} - { index, status: 'fulfilled', value } or { index, status: 'rejected', reason }
+   */
+  async *stream(tasks, options = {}) {
+    const { signal, onProgress } = options;
+    const queue = tasks.map((task, index) => ({ ...task, vendor: task.vendor || null, index, rateLimitRetries: 0 }));
+    const running = new Map();
+    const settled = [];
+    const progress = { total: tasks.length, completed: 0, succeeded: 0, failed: 0, inFlight: 0 };
+
+    let changed = false;
+    let wake = null;
+    const notify = () => {
+      changed = true;
+      wake?.();
+    };
+
+    const settle = (task, outcome) => {
+      settled.push({ index: task.index, ...outcome });
+      progress.completed++;
+      progress[outcome.status === 'fulfilled' ? 'succeeded' : 'failed']++;
+
+      if (onProgress) {
+        try {
+          onProgress({ ...progress, queued: queue.length, index: task.index, vendor: task.vendor, status: outcome.status });
+        } catch (error) {
+          console.error('Error in batch progress callback:', error);
+        }
+      }
+    };
+
+    const execute = async task => {
+      progress.inFlight++;
+      running.set(task.vendor, (running.get(task.vendor) || 0) + 1);
+
+      let outcome = null;
+
+      try {
+        outcome = { status: 'fulfilled', value: await task.run() };
+      } catch (error) {
+        if (error?.status === 429 && task.rateLimitRetries < this.maxRateLimitRetries && !signal?.aborted) {
+          this.pause(error.retryAfter ?? this.rateLimitDelay * 2 ** task.rateLimitRetries);
+          task.rateLimitRetries++;
+          queue.unshift(task);
+        } else {
+          outcome = { status: 'rejected', reason: error };
+        }
+      } finally {
+        progress.inFlight--;
+        running.set(task.vendor, running.get(task.vendor) - 1);
+      }
+
+      if (outcome) settle(task, outcome);
+      notify();
+    };
+
+    signal?.addEventListener('abort', notify);
+
+    try {
+      for (;;) {
+        changed = false;
+
+        if (signal?.aborted) {
+          for (const task of queue.splice(0)) {
+            settle(task, { status: 'rejected', reason: new ScraperError('Batch cancelled', { code: ERROR_CODES.CANCELLED }) });
+          }
+        }
+
+        const waitTime = this.dispatch(queue, running, progress, execute);
+
+        while (settled.length > 0) {
+          yield settled.shift();
+        }
+
+        if (progress.completed >= progress.total) break;
+        if (changed) continue;
+
+        // Sleep until a task settles, the signal aborts or the next rate-limited task may start
+        const timer = new AbortController();
+        const woken = new Promise(resolve => { wake = resolve; });
+        await (waitTime === null ? woken : Promise.race([woken, this.sleep(waitTime, timer.signal)]));
+        timer.abort();
+        wake = null;
+      }
+    } finally {
+      // Stop starting tasks if the consumer stops reading
+      queue.length = 0;
+      signal?.removeEventListener('abort', notify);
+    }
+  }
+
+  /**
+   * Start every queued task that concurrency and rate limits allow, in queue order
+   * @returns {number|null} - Milliseconds until a rate-limited task may start, or null if none is waiting on a limit
+   */
+  dispatch(queue, running, progress, execute) {
+    const pause = this.pausedUntil - this.now();
+    if (pause > 0) return queue.length > 0 ? pause : null;
+
+    let waitTime = null;
+
+    for (let i = 0; i < queue.length && progress.inFlight < this.concurrency;) {
+      const task = queue[i];
+      const limit = this.vendorConcurrency[task.vendor];
+
+      if (limit && (running.get(task.vendor) || 0) >= limit) {
+        i++;
+        continue;
+      }
+
+      const globalWait = this.globalBucket?.getWaitTime() || 0;
+      if (globalWait > 0) return globalWait;
+
+      const vendorBucket = this.vendorBuckets.get(task.vendor);
+      const vendorWait = vendorBucket?.getWaitTime() || 0;
+
+      if (vendorWait > 0) {
+        waitTime = waitTime === null ? vendorWait : Math.min(waitTime, vendorWait);
+        i++;
+        continue;
+      }
+
+      this.globalBucket?.tryTake();
+      vendorBucket?.tryTake();
+      queue.splice(i, 1);
+      execute(task);
+    }
+
+    return waitTime;
+  }
+
+  /**
+   * Hold off starting tasks, e.g. after a 429 response
+   * @param {number} ms - Pause in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, this.now() + ms);
+  }
+}
+
+/**
+ * Wait for ms, ending early (and clearing the timer) once the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Ends the wait
+ * @returns {Promise<void>}
+ */
+function sleepUntilAborted(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
@@ -0,0 +1,61 @@
+/**
+ * Token bucket rate limiter
+ * Holds up to `capacity` tokens and refills `tokensPerInterval` of them every `interval` ms
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} options - Rate limit
+   * @param {number} options.tokensPerInterval - Requests allowed per interval
+   * @param {number} options.interval - Interval in ms (default: 1000)
+   * @param {number} options.capacity - Burst size (default: tokensPerInterval)
+   * @param {Function} options.now - Clock, injectable for tests (default: Date.now)
+   */
+  constructor(options = {}) {
+    if (!(options.tokensPerInterval > 0)) {
+      throw new Error('tokensPerInterval must be a positive number');
+    }
+
+    this.tokensPerInterval = options.tokensPerInterval;
+    this.interval = options.interval || 1000;
+    this.capacity = options.capacity || options.tokensPerInterval;
+    this.now = options.now || Date.now;
+    this.tokens = this.capacity;
+    this.lastRefill = this.now();
+  }
+
+  /**
+   * Time until a token is available
+   * @returns {number} - Milliseconds to wait, 0 if a token is available now
+   */
+  getWaitTime() {
+    this.refill();
+
+    if (this.tokens >= 1) return 0;
+
+    return Math.ceil((1 - this.tokens) * this.interval / this.tokensPerInterval);
+  }
+
+  /**
+   * Take a token if one is available
+   * @returns {boolean} - True if a token was taken
+   */
+  tryTake() {
+    if (this.getWaitTime() > 0) return false;
+
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Add tokens for the time elapsed since the last refill
+   */
+  refill() {
+    const now = this.now();
+    const elapsed = now - this.lastRefill;
+
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.tokensPerInterval / this.interval);
+      this.lastRefill = now;
+    }
+  }
+}
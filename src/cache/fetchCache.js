@@ -0,0 +1,140 @@
+import { normalizeUrl } from '../utils/productUrl.js';
+import { ScraperError, ERROR_CODES } from '../utils/errors.js';
+
+/**
+ * Cache modes for getPrice's cache option
+ * prefer: serve a fresh cached page, fetch on a miss; bypass: always fetch (and refresh the cache);
+ * only: serve a fresh cached page, never fetch
+ */
+export const CACHE_MODES = ['prefer', 'bypass', 'only'];
+
+/**
+ * Page cache in front of fetchHtml
+ * Pages are keyed on the normalized URL plus the Decodo request settings (render, waitFor, geo, headers),
+ * kept for a per-vendor TTL, and concurrent fetches of the same key share one upstream request
+ */
+export class FetchCache {
+  /**
+   * @param {Object} store - Cache store implementing get, set and delete (see MemoryCacheStore)
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Time a page is served from cache in ms (default: 300000)
+   * @param {Object} options.vendorTtls - TTL per vendor in ms (e.g. { amazon: 60000 })
+   * @param {Function} options.now - Clock (default: Date.now)
+   */
+  constructor(store, options = {}) {
+    if (!store) {
+      throw new Error('Cache store is required');
+    }
+
+    this.store = store;
+    this.ttl = options.ttl ?? 5 * 60 * 1000;
+    this.vendorTtls = options.vendorTtls || {};
+    this.now = options.now || Date.now;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Cache key for a page request
+   * @param {string} url - Page URL
+   * @param {Object} settings - Decodo request body (its url is replaced by the normalized one)
+   * @returns {string} - Cache key
+   */
+  getKey(url, settings = {}) {
+    const { url: requestUrl, ...rest } = settings;
+    return `${normalizeUrl(url)} ${stableStringify(rest)}`;
+  }
+
+  /**
+   * TTL for a vendor's pages
+   * @param {string} vendor - Vendor name
+   * @returns {number} - TTL in ms
+   */
+  getTtl(vendor) {
+    return this.vendorTtls[vendor] ?? this.ttl;
+  }
+
+  /**
+   * Get a page from cache or fetch it
+   * @param {string} key - Cache key (see getKey)
+   * @param {Object} options - Lookup options
+   * @param {string} options.vendor - Vendor, for its TTL
+   * @param {string} options.mode - Cache mode (see CACHE_MODES, default: prefer)
+   * @param {Function} fetchPage - Async function fetching the page HTML on a miss
+   * @returns {Promise<Object>} - { html, fromCache, cacheAge } with cacheAge in ms (null when fetched)
+   * @throws {ScraperError} - CACHE_MISS in 'only' mode when no fresh page is cached
+   */
+  async fetch(key, options, fetchPage) {
+    const mode = options.mode || 'prefer';
+
+    if (!CACHE_MODES.includes(mode)) {
+      throw new Error(`Unknown cache mode: ${mode}`);
+    }
+
+    if (mode !== 'bypass') {
+      const entry = await this.read(key);
+      const cacheAge = entry ? this.now() - entry.fetchedAt : null;
+
+      if (entry && cacheAge <= this.getTtl(options.vendor)) {
+        return { html: entry.html, fromCache: true, cacheAge };
+      }
+
+      if (mode === 'only') {
+        throw new ScraperError('No fresh cached page', { code: ERROR_CODES.CACHE_MISS });
+      }
+    }
+
+    if (!this.inFlight.has(key)) {
+      const request = (async () => {
+        const html = await fetchPage();
+        await this.write(key, { html, fetchedAt: this.now() });
+        return html;
+      })();
+
+      this.inFlight.set(key, request);
+      request.then(() => this.inFlight.delete(key), () => this.inFlight.delete(key));
+    }
+
+    return { html: await this.inFlight.get(key), fromCache: false, cacheAge: null };
+  }
+
+  /**
+   * Read an entry; a failing store counts as a miss rather than failing the scrape
+   */
+  async read(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error('Error reading page cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry; a failing store does not fail the scrape
+   */
+  async write(key, entry) {
+    try {
+      await this.store.set(key, entry);
+    } catch (error) {
+      console.error('Error writing page cache:', error);
+    }
+  }
+}
+
+/**
+ * JSON with object keys sorted, so equal settings give equal keys
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value) ?? 'null';
+}
@@ -0,0 +1,58 @@
+import { readFile, writeFile, rename, mkdir, rm } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+/**
+ * Filesystem page cache store
+ * Keeps one <dir>/<sha256 of key>.json file per page, so entries survive restarts and can be shared by processes.
+ * Writes go through a temp file so a reader never sees a partial page
+ */
+export class FileCacheStore {
+  /**
+   * @param {string} dir - Directory holding the cached pages
+   */
+  constructor(dir) {
+    if (!dir) {
+      throw new Error('Cache directory is required');
+    }
+
+    this.dir = dir;
+  }
+
+  async get(key) {
+    let entry;
+
+    try {
+      entry = JSON.parse(await readFile(this.getPath(key), 'utf8'));
+    } catch (error) {
+      // Missing, or left unreadable by another process: treat as not cached
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+
+    if (entry.key !== key) return null;
+
+    const { key: entryKey, ...rest } = entry;
+    return rest;
+  }
+
+  async set(key, entry) {
+    const path = this.getPath(key);
+    const tempPath = `${path}.${process.pid}.tmp`;
+
+    await mkdir(this.dir, { recursive: true });
+    await writeFile(tempPath, JSON.stringify({ key, ...entry }));
+    await rename(tempPath, path);
+  }
+
+  async delete(key) {
+    await rm(this.getPath(key), { force: true });
+  }
+
+  /**
+   * Cache file path for a key
+   */
+  getPath(key) {
+    return join(this.dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * In-memory LRU page cache store
+ *
+ * Cache stores implement:
+ *   async get(key) -> { html, fetchedAt } | null
+ *   async set(key, entry)
+ *   async delete(key)
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Pages kept; the least recently used is evicted first (default: 500)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    // Map iteration order is insertion order, so re-inserting marks the entry most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
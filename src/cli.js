@@ -0,0 +1,441 @@
+import { readFile, writeFile } from 'fs/promises';
+import { parseArgs } from 'util';
+import { PriceScraper } from './scraper.js';
+import { loadFixtures, runFixtures, formatReport, captureFixture } from './regression/harness.js';
+import { JobManager, formatJobReport } from './jobs/jobManager.js';
+import { JsonlFileJobStore } from './jobs/jsonlFileStore.js';
+import { ReplayFetcher } from './fetchers/replayFetcher.js';
+import { FETCH_ERROR_CODES } from './utils/errors.js';
+
+/**
+ * Process exit codes
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  USAGE: 1,
+  FETCH_FAILED: 2,
+  NOT_EXTRACTED: 3,
+  FIXTURES_FAILED: 4
+};
+
+const DEFAULT_FIXTURES_DIR = 'tests/fixtures';
+const DEFAULT_JOB_DIR = '.jobs';
+
+const USAGE = `Usage: egaroshi-scrape <command> [options]
+
+Commands:
+  price <url>                    Scrape price for one product URL
+  batch [file]                   Scrape prices for URLs in file (one per line), or stdin
+  job <id> [file]                Run a resumable batch job: created from file (or stdin) on first run,
+                                 resumed from its checkpoint afterwards (report as text, or --format json)
+  fetch <url> --save html|json   Fetch page through Decodo without extracting
+  extract <html-file>            Extract price from saved HTML (no Decodo call)
+  fixtures [dir]                 Run golden fixtures and report per-vendor pass rates (text, or --format json)
+  capture <url> --name <name>    Save a live page as a new golden fixture
+
+Scrape options:
+  --no-render                    Disable JS rendering
+  --wait-for <ms>                Wait time for JS execution (default: 2000)
+  --user-agent <ua>              Custom User-Agent
+  --header "Name: value"         Extra request header (repeatable)
+  --allow-out-of-stock           Extract price even if product appears out of stock
+  --consensus                    Run all extraction methods and pick the price they agree on
+  --concurrency <n>              batch, job: maximum requests in flight (default: 5)
+  --fetch-chain <names>          Fetchers to try in order, comma-separated: decodo, direct, replay (default: decodo)
+  --replay-dir <path>            Serve pages from recordings (fetch --save json files); defaults the chain to replay
+  --retry-failed                 job: also re-run failed URLs
+  --only-failed                  job: re-run failed URLs only
+  --job-dir <path>               job: checkpoint directory (default: .jobs)
+
+Output options:
+  --format json|csv|table        Output format (default: json)
+  --output <path>                Write output to file instead of stdout
+  --save html|json               fetch: save raw HTML or JSON with metadata
+  --vendor <name>                extract: vendor extractor to use
+  --url <url>                    extract: original page URL (used for vendor, locale, currency)
+  --name <name>                  capture: fixture name
+  --dir <path>                   capture: fixture root directory (default: tests/fixtures)
+
+Exit codes:
+  0 success, 1 usage error, 2 fetch failed, 3 price not extracted, 4 fixtures failed`;
+
+const CSV_COLUMNS = ['url', 'vendor', 'price', 'originalPrice', 'salePrice', 'currency', 'isOnSale', 'availability', 'available', 'errorCode', 'error'];
+
+const OPTIONS = {
+  'no-render': { type: 'boolean' },
+  'wait-for': { type: 'string' },
+  'user-agent': { type: 'string' },
+  'header': { type: 'string', multiple: true },
+  'allow-out-of-stock': { type: 'boolean' },
+  'consensus': { type: 'boolean' },
+  'concurrency': { type: 'string' },
+  'fetch-chain': { type: 'string' },
+  'replay-dir': { type: 'string' },
+  'retry-failed': { type: 'boolean' },
+  'only-failed': { type: 'boolean' },
+  'job-dir': { type: 'string' },
+  'format': { type: 'string' },
+  'output': { type: 'string', short: 'o' },
+  'save': { type: 'string' },
+  'vendor': { type: 'string' },
+  'url': { type: 'string' },
+  'name': { type: 'string' },
+  'dir': { type: 'string' },
+  'help': { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {Object} io - Process bindings, injectable for tests
+ * @param {Object} io.stdout - Writable for results
+ * @param {Object} io.stderr - Writable for errors
+ * @param {Object} io.stdin - Readable for batch input
+ * @param {Object} io.env - Environment variables
+ * @param {Function} io.createScraper - (apiKey, options) => PriceScraper
+ * @returns {Promise<number>} - Exit code
+ */
+export async function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const env = io.env || process.env;
+  const createScraper = io.createScraper || ((apiKey, options) => new PriceScraper(apiKey, options));
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, target, source] = positionals;
+
+  if (values.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  if (!command) {
+    stderr.write(`${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const format = values.format || 'json';
+  if (!['json', 'csv', 'table'].includes(format)) {
+    stderr.write(`Unknown format: ${format}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const write = async output => {
+    if (values.output) {
+      await writeFile(values.output, output);
+    } else {
+      stdout.write(output);
+    }
+  };
+
+  try {
+    switch (command) {
+      case 'price':
+      case 'batch':
+      case 'job':
+      case 'fetch':
+      case 'capture': {
+        if (command === 'job' && !target) {
+          stderr.write('job requires a job ID\n');
+          return EXIT_CODES.USAGE;
+        }
+
+        if (!['batch', 'job'].includes(command) && !target) {
+          stderr.write(`${command} requires a URL\n`);
+          return EXIT_CODES.USAGE;
+        }
+
+        // Parsed up front so invalid flags are usage errors before anything is fetched
+        const scrapeOptions = getScrapeOptions(values);
+        const scraperOptions = getScraperOptions(values);
+
+        if ((scraperOptions.fetchChain || ['decodo']).includes('decodo') && !env.DECODO_API_KEY) {
+          stderr.write('Error: DECODO_API_KEY not found in environment variables\n');
+          return EXIT_CODES.USAGE;
+        }
+
+        const scraper = createScraper(env.DECODO_API_KEY, scraperOptions);
+
+        if (command === 'fetch') {
+          return await runFetch(scraper, target, values, write, stderr);
+        }
+
+        if (command === 'capture') {
+          return await runCapture(scraper, target, values, write, stderr);
+        }
+
+        if (command === 'job') {
+          return await runJob(scraper, target, source, values, write, io.stdin || process.stdin);
+        }
+
+        const urls = command === 'price'
+          ? [target]
+          : parseUrlList(await readInput(target, io.stdin || process.stdin));
+
+        const results = await scraper.getPricesBatch(urls, scrapeOptions);
+        await write(formatResults(command === 'price' ? results[0] : results, format));
+        return getExitCode(results);
+      }
+
+      case 'extract': {
+        if (!target) {
+          stderr.write('extract requires an HTML file\n');
+          return EXIT_CODES.USAGE;
+        }
+
+        const scraper = createScraper(env.DECODO_API_KEY);
+        const html = await readFile(target, 'utf8');
+
+        const result = await scraper.extractFromHtml(html, {
+          ...getScrapeOptions(values),
+          url: values.url,
+          vendor: values.vendor
+        });
+        await write(formatResults(result, format));
+        return getExitCode([result]);
+      }
+
+      case 'fixtures': {
+        const report = await runFixtures(createScraper(env.DECODO_API_KEY), await loadFixtures(target || DEFAULT_FIXTURES_DIR));
+        await write(values.format === 'json' ? `${JSON.stringify(report.vendors, null, 2)}\n` : formatReport(report));
+        return report.failed > 0 ? EXIT_CODES.FIXTURES_FAILED : EXIT_CODES.OK;
+      }
+
+      default:
+        stderr.write(`Unknown command: ${command}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+    return EXIT_CODES.USAGE;
+  }
+}
+
+/**
+ * Fetch page HTML and save it as raw HTML or JSON with metadata
+ */
+async function runFetch(scraper, url, values, write, stderr) {
+  const save = values.save || 'html';
+
+  if (!['html', 'json'].includes(save)) {
+    stderr.write(`Unknown save format: ${save}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let html;
+  try {
+    html = await scraper.fetchHtml(url, getScrapeOptions(values));
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+    return EXIT_CODES.FETCH_FAILED;
+  }
+
+  const output = save === 'html'
+    ? html
+    : `${JSON.stringify({ url, vendor: scraper.detectVendor(url), fetchedAt: new Date().toISOString(), html }, null, 2)}\n`;
+
+  await write(output);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Fetch a live page and save it with seeded expectations as a golden fixture
+ */
+async function runCapture(scraper, url, values, write, stderr) {
+  if (!values.name) {
+    stderr.write('capture requires --name\n');
+    return EXIT_CODES.USAGE;
+  }
+
+  let captured;
+  try {
+    captured = await captureFixture(scraper, url, {
+      dir: values.dir || DEFAULT_FIXTURES_DIR,
+      name: values.name,
+      vendor: values.vendor,
+      scrapeOptions: getScrapeOptions(values)
+    });
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+    return EXIT_CODES.FETCH_FAILED;
+  }
+
+  await write(`Saved ${captured.htmlPath}\nSaved ${captured.metaPath} (review expectations before committing)\n`);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Create the job from a URL list on first run, then run whatever is left and report
+ */
+async function runJob(scraper, id, source, values, write, stdin) {
+  const jobs = new JobManager(scraper, { store: new JsonlFileJobStore(values['job-dir'] || DEFAULT_JOB_DIR) });
+
+  if (!(await jobs.exists(id))) {
+    const urls = parseUrlList(await readInput(source, stdin));
+    await jobs.create(urls, { id, scrapeOptions: getScrapeOptions(values) });
+  }
+
+  const report = await jobs.run(id, {
+    retryFailed: values['retry-failed'],
+    onlyFailed: values['only-failed']
+  });
+
+  await write(values.format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : formatJobReport(report));
+
+  return getExitCode((await jobs.getResults(id)).filter(Boolean));
+}
+
+/**
+ * Build PriceScraper constructor options from parsed CLI values
+ * @param {Object} values - Parsed option values
+ * @returns {Object} - Options for new PriceScraper(apiKey, options)
+ */
+export function getScraperOptions(values) {
+  const options = {};
+
+  if (values.concurrency) {
+    const concurrency = parseInt(values.concurrency, 10);
+    if (!(concurrency > 0)) {
+      throw new Error(`Invalid concurrency: ${values.concurrency}`);
+    }
+
+    options.batch = { concurrency };
+  }
+
+  if (values['replay-dir']) {
+    options.fetchers = { replay: new ReplayFetcher(values['replay-dir']) };
+    options.fetchChain = ['replay'];
+  }
+
+  if (values['fetch-chain'] !== undefined) {
+    options.fetchChain = values['fetch-chain'].split(',').map(name => name.trim()).filter(Boolean);
+
+    if (options.fetchChain.length === 0) {
+      throw new Error(`Invalid fetch chain: ${values['fetch-chain']}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Map CLI flags to getPrice options
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} - getPrice options
+ */
+export function getScrapeOptions(values) {
+  const options = {};
+
+  if (values['no-render']) options.render = false;
+
+  if (values['wait-for'] !== undefined) {
+    const waitFor = Number(values['wait-for']);
+    if (values['wait-for'].trim() === '' || !Number.isInteger(waitFor) || waitFor < 0) {
+      throw new Error(`Invalid wait time: ${values['wait-for']}`);
+    }
+
+    options.waitFor = waitFor;
+  }
+
+  if (values['user-agent']) options.userAgent = values['user-agent'];
+  if (values['allow-out-of-stock']) options.allowOutOfStock = true;
+  if (values.consensus) options.consensus = true;
+
+  if (values.header) {
+    options.headers = {};
+    for (const header of values.header) {
+      const separator = header.indexOf(':');
+      if (separator === -1) {
+        throw new Error(`Invalid header (expected "Name: value"): ${header}`);
+      }
+      options.headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+    }
+
+    if (options.userAgent && !options.headers['User-Agent']) {
+      options.headers['User-Agent'] = options.userAgent;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read batch input from a file, or stdin when no file (or '-') is given
+ */
+async function readInput(path, stdin) {
+  if (path && path !== '-') {
+    return readFile(path, 'utf8');
+  }
+
+  let content = '';
+  for await (const chunk of stdin) {
+    content += chunk;
+  }
+  return content;
+}
+
+/**
+ * Parse URL list, skipping blank lines and # comments
+ * @param {string} content - File content
+ * @returns {string[]} - URLs
+ */
+export function parseUrlList(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Pick exit code: fetch failures (see FETCH_ERROR_CODES) take precedence over extraction failures
+ * @param {Object[]} results - getPrice results
+ * @returns {number} - Exit code
+ */
+export function getExitCode(results) {
+  if (results.some(result => FETCH_ERROR_CODES.has(result.errorCode))) {
+    return EXIT_CODES.FETCH_FAILED;
+  }
+
+  if (results.some(result => !result.available)) {
+    return EXIT_CODES.NOT_EXTRACTED;
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Format one result or a list of results
+ * @param {Object|Object[]} results - getPrice result(s)
+ * @param {string} format - json, csv or table
+ * @returns {string} - Formatted output
+ */
+export function formatResults(results, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(results, null, 2)}\n`;
+  }
+
+  const rows = (Array.isArray(results) ? results : [results])
+    .map(result => CSV_COLUMNS.map(column => result[column] ?? ''));
+
+  if (format === 'csv') {
+    const escape = value => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [CSV_COLUMNS, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+  }
+
+  const table = [CSV_COLUMNS, ...rows].map(row => row.map(String));
+  const widths = CSV_COLUMNS.map((_, i) => Math.max(...table.map(row => row[i].length)));
+  return table
+    .map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n') + '\n';
+}
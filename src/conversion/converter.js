@@ -0,0 +1,45 @@
+import { normalizeCurrencyCode } from '../utils/currency.js';
+
+/**
+ * Currency converter using a pluggable rate provider
+ */
+export class CurrencyConverter {
+  /**
+   * @param {Object} provider - Rate provider implementing getRate(from, to)
+   */
+  constructor(provider) {
+    if (!provider || typeof provider.getRate !== 'function') {
+      throw new Error('Rate provider must implement getRate(from, to)');
+    }
+
+    this.provider = provider;
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount in source currency
+   * @param {string} from - Source ISO-4217 code
+   * @param {string} to - Target ISO-4217 code
+   * @returns {Promise<Object>} - { convertedPrice, convertedCurrency, rate, rateDate, rateSource }
+   */
+  async convert(amount, from, to) {
+    const fromCode = normalizeCurrencyCode(from);
+    const toCode = normalizeCurrencyCode(to);
+
+    if (!fromCode || !toCode) {
+      throw new Error(`Unsupported currency conversion: ${from} to ${to}`);
+    }
+
+    const { rate, date, source } = fromCode === toCode
+      ? { rate: 1, date: null, source: 'identity' }
+      : await this.provider.getRate(fromCode, toCode);
+
+    return {
+      convertedPrice: Math.round(amount * rate * 100) / 100,
+      convertedCurrency: toCode,
+      rate,
+      rateDate: date,
+      rateSource: source
+    };
+  }
+}
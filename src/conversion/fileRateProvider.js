@@ -0,0 +1,115 @@
+import { readFile } from 'fs/promises';
+import { normalizeCurrencyCode } from '../utils/currency.js';
+
+/**
+ * Exchange rate provider backed by a local rate table
+ *
+ * Rate providers implement:
+ *   async getRate(from, to) -> { rate, date, source }
+ *
+ * Supported table formats:
+ *   JSON: { "base": "USD", "date": "2026-10-01", "rates": { "EUR": 0.92, "GBP": 0.79 } }
+ *   CSV:  currency,rate[,date] with one row per currency, rates expressed per 1 unit of base
+ */
+export class FileRateProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.path - Path to a .json or .csv rate table
+   * @param {Object} options.table - In-memory table ({ base, date, rates }) instead of a file
+   * @param {string} options.base - Base currency for CSV tables (default: 'USD')
+   */
+  constructor(options = {}) {
+    if (!options.path && !options.table) {
+      throw new Error('Rate table path or table is required');
+    }
+
+    this.path = options.path || null;
+    this.base = options.base || 'USD';
+    this.table = options.table ? this.normalizeTable(options.table) : null;
+  }
+
+  /**
+   * Get exchange rate between two currencies
+   * @param {string} from - Source ISO-4217 code
+   * @param {string} to - Target ISO-4217 code
+   * @returns {Promise<Object>} - { rate, date, source }
+   */
+  async getRate(from, to) {
+    const table = await this.load();
+    const fromRate = from === table.base ? 1 : table.rates[from];
+    const toRate = to === table.base ? 1 : table.rates[to];
+
+    if (!fromRate || !toRate) {
+      throw new Error(`No exchange rate for ${from} to ${to}`);
+    }
+
+    return {
+      rate: toRate / fromRate,
+      date: table.date,
+      source: this.path ? `file:${this.path}` : 'table'
+    };
+  }
+
+  /**
+   * Load and cache the rate table
+   */
+  async load() {
+    if (this.table) return this.table;
+
+    const content = await readFile(this.path, 'utf8');
+    const raw = this.path.toLowerCase().endsWith('.csv')
+      ? this.parseCsv(content)
+      : JSON.parse(content);
+
+    this.table = this.normalizeTable(raw);
+    return this.table;
+  }
+
+  /**
+   * Parse CSV rate table (header: currency,rate[,date])
+   */
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const header = lines.shift()?.toLowerCase().split(',').map(col => col.trim()) || [];
+    const currencyIndex = header.indexOf('currency');
+    const rateIndex = header.indexOf('rate');
+    const dateIndex = header.indexOf('date');
+
+    if (currencyIndex === -1 || rateIndex === -1) {
+      throw new Error('Rate CSV must have currency and rate columns');
+    }
+
+    const table = { base: this.base, date: null, rates: {} };
+
+    for (const line of lines) {
+      const cols = line.split(',').map(col => col.trim());
+      table.rates[cols[currencyIndex]] = parseFloat(cols[rateIndex]);
+
+      if (dateIndex !== -1 && cols[dateIndex]) {
+        table.date = cols[dateIndex];
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * Validate table shape and normalize currency codes
+   */
+  normalizeTable(raw) {
+    const base = normalizeCurrencyCode(raw.base || this.base);
+    if (!base || !raw.rates || typeof raw.rates !== 'object') {
+      throw new Error('Rate table must have a valid base currency and rates');
+    }
+
+    const rates = {};
+    for (const [code, rate] of Object.entries(raw.rates)) {
+      const normalized = normalizeCurrencyCode(code);
+      if (normalized && typeof rate === 'number' && rate > 0) {
+        rates[normalized] = rate;
+      }
+    }
+
+    return { base, date: raw.date || null, rates };
+  }
+}
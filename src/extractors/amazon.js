@@ -1,5 +1,26 @@
 import * as cheerio from 'cheerio';
-import { parsePrice, normalizePrice } from '../utils/priceParser.js';
+import { parsePrice, normalizePrice, applyPriceDetails } from '../utils/priceParser.js';
+import { withSource } from '../utils/provenance.js';
+import { AVAILABILITY, extractSchemaAvailability, parseAvailabilityText } from '../utils/availability.js';
+import { PRICE_VISIBILITY, parsePriceVisibility } from '../utils/priceVisibility.js';
+import { parseCondition } from '../utils/offers.js';
+import { findJsonLdProduct } from '../utils/jsonLd.js';
+import { extractBaseProduct, mergeProduct, toNumber, toCount } from '../utils/product.js';
+import { getAmazonMarketplace } from '../utils/marketplaces.js';
+import { parseUrl } from '../utils/productUrl.js';
+
+/**
+ * Price block and buy box containers; hidden-price notices elsewhere (carousels, other sellers) are ignored
+ */
+const PRICE_AREA_SELECTORS = [
+  '#corePrice_feature_div',
+  '#corePriceDisplay_desktop_feature_div',
+  '#apex_desktop',
+  '#price',
+  '#mapPopover',
+  '#desktop_buybox',
+  '#buybox'
+];
 
 /**
  * Amazon-specific price extractor
@@ -9,36 +30,257 @@ export class AmazonExtractor {
   /**
    * Extract price from Amazon product page HTML
    * @param {string} html - HTML content
+   * @param {Object} context - Extraction context
+   * @param {string} context.url - Product URL, used to derive the marketplace's number format and currency
    * @returns {Object|null} - Price data or null
    */
-  extract(html) {
+  extract(html, context = {}) {
+    return this.extractCandidates(html, context)[0] || null;
+  }
+
+  /**
+   * Run every extraction method and collect the prices they find
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object[]} - Price data with source, most reliable method first
+   */
+  extractCandidates(html, context = {}) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html);
+    const options = this.getParseOptions(context.url);
+    const details = this.extractPriceDetails($);
+
+    return [
+      // Method 1: Extract from embedded JSON data
+      this.extractFromJsonData($, html, options),
+
+      // Method 2: Extract from priceToPay element
+      this.extractFromPriceToPay($, options),
+
+      // Method 3: Extract from offer blocks
+      this.extractFromOffers($, options),
+
+      // Method 4: Extract from A-core-price elements
+      this.extractFromCorePrice($, options)
+    ]
+      .filter(Boolean)
+      .map(candidate => applyPriceDetails(candidate, details, options));
+  }
+
+  /**
+   * Detect availability from the buy box; page-wide text (other sellers, related items) is ignored
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object|null} - { status, quantity } (see AVAILABILITY) or null if unknown
+   */
+  extractAvailability(html) {
     if (!html) return null;
 
     const $ = cheerio.load(html);
 
-    // Method 1: Extract from embedded JSON data
-    const jsonPrice = this.extractFromJsonData($, html);
-    if (jsonPrice) return jsonPrice;
+    if ($('#outOfStock').length) {
+      return { status: AVAILABILITY.OUT_OF_STOCK, quantity: null };
+    }
+
+    for (const selector of ['#desktop_buybox #availability', '#buybox #availability', '#availability']) {
+      const availability = parseAvailabilityText($(selector).first().text());
+      if (availability) return availability;
+    }
+
+    return extractSchemaAvailability($);
+  }
+
+  /**
+   * Detect a price hidden behind the cart (MAP pricing) or sign-in
+   * @param {string} html - HTML content
+   * @returns {string} - PRICE_VISIBILITY value
+   */
+  detectPriceVisibility(html) {
+    if (!html) return PRICE_VISIBILITY.PUBLIC;
+
+    const $ = cheerio.load(html);
+    const text = PRICE_AREA_SELECTORS.map(selector => $(selector).text()).join(' ');
+
+    return parsePriceVisibility(text) || PRICE_VISIBILITY.PUBLIC;
+  }
+
+  /**
+   * Extract the strike-through list price, which stays public when the selling price is hidden
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object|null} - Price data with source or null
+   */
+  extractListPrice(html, context = {}) {
+    if (!html) return null;
 
-    // Method 2: Extract from priceToPay element
-    const priceToPay = this.extractFromPriceToPay($);
-    if (priceToPay) return priceToPay;
+    const $ = cheerio.load(html);
+    const options = this.getParseOptions(context.url);
 
-    // Method 3: Extract from offer blocks
-    const offerPrice = this.extractFromOffers($);
-    if (offerPrice) return offerPrice;
+    for (const selector of ['.basisPrice .a-offscreen', '[data-a-strike="true"] .a-offscreen', '#listPrice']) {
+      const priceText = $(selector).first().text().trim();
 
-    // Method 4: Extract from A-core-price elements
-    const corePrice = this.extractFromCorePrice($);
-    if (corePrice) return corePrice;
+      if (parsePrice(priceText, options)) {
+        return withSource(
+          normalizePrice({ price: priceText, listPrice: priceText }, options),
+          'extractFromListPrice',
+          selector
+        );
+      }
+    }
 
     return null;
   }
 
+  /**
+   * Enumerate size/color variants from the twister data
+   * Variant prices come from the twister swatches; the selected variant uses the page price
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object[]} - [{ id, idType, attributes, url, selected, priceData, availability }]
+   */
+  extractVariants(html, context = {}) {
+    if (!html) return [];
+
+    const displayData = this.parseTwisterValue(html, 'dimensionValuesDisplayData');
+    if (!displayData || typeof displayData !== 'object') return [];
+
+    const dimensionNames = this.parseTwisterValue(html, 'dimensions');
+    const dimensions = (Array.isArray(dimensionNames) ? dimensionNames : []).map(name => name.replace(/_name$/, ''));
+    const currentAsin = html.match(/"currentAsin"\s*:\s*"(\w+)"/)?.[1];
+    const $ = cheerio.load(html);
+    const options = this.getParseOptions(context.url);
+    const swatches = this.extractSwatches($, options);
+    const baseUrl = parseUrl(context.url);
+
+    return Object.entries(displayData).map(([asin, values]) => {
+      const attributes = {};
+      [].concat(values).forEach((value, i) => {
+        attributes[dimensions[i] || `dimension${i + 1}`] = value;
+      });
+
+      const selected = asin === currentAsin;
+      const swatch = swatches[asin] || {};
+
+      return {
+        id: asin,
+        idType: 'asin',
+        attributes,
+        url: baseUrl ? new URL(`/dp/${asin}`, baseUrl).href : null,
+        selected,
+        priceData: swatch.priceData || (selected ? this.extract(html, context) : null),
+        availability: swatch.availability || null
+      };
+    });
+  }
+
+  /**
+   * Parse a JSON value assigned to a twister key ("dimensionValuesDisplayData" : {...})
+   */
+  parseTwisterValue(html, key) {
+    const match = html.match(new RegExp(`"${key}"\\s*:\\s*(\\{[^{}]*\\}|\\[[^\\[\\]]*\\])`));
+    if (!match) return null;
+
+    try {
+      return JSON.parse(match[1]);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Read price and availability from twister swatches keyed by ASIN
+   */
+  extractSwatches($, options = {}) {
+    const swatches = {};
+
+    $('li[data-defaultasin], li[data-asin]').each((i, element) => {
+      const swatch = $(element);
+      const asin = swatch.attr('data-defaultasin') || swatch.attr('data-asin');
+      const priceText = swatch.find('.twisterSwatchPrice, .a-price .a-offscreen').first().text().trim();
+      const className = swatch.attr('class') || '';
+
+      if (!asin) return;
+
+      swatches[asin] = {
+        priceData: parsePrice(priceText, options)
+          ? withSource(normalizePrice({ price: priceText }, options), 'extractFromTwister', '.twisterSwatchPrice')
+          : null,
+        availability: /swatchUnavailable/.test(className)
+          ? AVAILABILITY.OUT_OF_STOCK
+          : /swatch(?:Available|Select)/.test(className) ? AVAILABILITY.IN_STOCK : null
+      };
+    });
+
+    return swatches;
+  }
+
+  /**
+   * Collect Subscribe & Save, coupon, unit price and delivery details shown next to the buy box
+   * @returns {Object} - Raw detail texts for applyPriceDetails
+   */
+  extractPriceDetails($) {
+    const firstText = selectors => {
+      for (const selector of selectors) {
+        const element = $(selector).first();
+        const text = (element.find('.a-offscreen').first().text() || element.text()).trim();
+        if (text) return text;
+      }
+      return null;
+    };
+
+    return {
+      subscribePrice: firstText(['#sns-base-price', '#subscriptionPrice', '[id*="snsPrice"]']),
+      couponDiscount: firstText(['[id^="couponText"]', '#couponBadgeRegularVpc', '.promoPriceBlockMessage [id*="coupon"]']),
+      // The unit follows the offscreen amount ("($0.25 / Ounce)"), so keep the full text
+      unitPrice: $('.pricePerUnit, [id*="pricePerUnit"]').first().text().replace(/\s+/g, ' ').trim() || null,
+      shippingCost: $('[data-csa-c-delivery-price]').first().attr('data-csa-c-delivery-price') ||
+        firstText(['#ourprice_shippingmessage', '#price-shipping-message'])
+    };
+  }
+
+  /**
+   * Get the marketplace (country, currency, number format locale) for a product URL
+   * @param {string} url - Product URL
+   * @returns {Object|null} - { domain, country, currency, locale, geo } or null for unknown domains
+   */
+  getMarketplace(url) {
+    return getAmazonMarketplace(url);
+  }
+
+  /**
+   * Derive number format locale from the Amazon marketplace
+   * @param {string} url - Product URL
+   * @returns {string|undefined} - Locale (e.g., 'de-DE'), or undefined to auto-detect
+   */
+  getLocale(url) {
+    return this.getMarketplace(url)?.locale;
+  }
+
+  /**
+   * Parsing options for a product URL: the marketplace's number format and currency
+   * @param {string} url - Product URL
+   * @returns {Object} - { locale, currency, url }
+   */
+  getParseOptions(url) {
+    const marketplace = this.getMarketplace(url);
+    return { locale: marketplace?.locale, currency: marketplace?.currency, url };
+  }
+
+  /**
+   * Decodo request fields that target the product's marketplace
+   * @param {string} url - Product URL
+   * @returns {Object} - { geo } for known marketplaces, otherwise empty
+   */
+  getDecodoOptions(url) {
+    const marketplace = this.getMarketplace(url);
+    return marketplace ? { geo: marketplace.geo } : {};
+  }
+
   /**
    * Extract price from embedded JSON data in script tags
    */
-  extractFromJsonData($, html) {
+  extractFromJsonData($, html, options = {}) {
     // Look for common Amazon JSON data patterns
     const jsonPatterns = [
       /"buyingPrice":\s*(\{[\s\S]*?\})/,
@@ -52,13 +294,13 @@ export class AmazonExtractor {
         try {
           const priceData = JSON.parse(match[1]);
           const amount = priceData.amount || priceData.price || priceData.value;
-          const currency = priceData.currency || 'USD';
+          const currency = priceData.currency || priceData.currencyCode;
 
           if (amount) {
-            return normalizePrice({
+            return withSource(normalizePrice({
               price: amount,
               currency: currency
-            });
+            }, { url: options.url, currency: options.currency }), 'extractFromJsonData', pattern.source);
           }
         } catch (e) {
           // Continue to next pattern
@@ -68,29 +310,14 @@ export class AmazonExtractor {
     }
 
     // Try to find JSON-LD with Product schema
-    const jsonLdScripts = $('script[type="application/ld+json"]');
-    for (let i = 0; i < jsonLdScripts.length; i++) {
-      try {
-        const content = $(jsonLdScripts[i]).html();
-        if (!content) continue;
-
-        const data = JSON.parse(content);
-        if (data['@type'] === 'Product' || Array.isArray(data) && data.find(d => d['@type'] === 'Product')) {
-          const product = Array.isArray(data) ? data.find(d => d['@type'] === 'Product') : data;
-          
-          if (product.offers) {
-            const offers = Array.isArray(product.offers) ? product.offers[0] : product.offers;
-            if (offers.price) {
-              return normalizePrice({
-                price: offers.price,
-                currency: offers.priceCurrency || 'USD'
-              });
-            }
-          }
-        }
-      } catch (e) {
-        continue;
-      }
+    const product = findJsonLdProduct($);
+    const offers = product?.offers && (Array.isArray(product.offers) ? product.offers[0] : product.offers);
+
+    if (offers?.price) {
+      return withSource(normalizePrice({
+        price: offers.price,
+        currency: offers.priceCurrency
+      }, { url: options.url, currency: options.currency }), 'extractFromJsonData', 'script[type="application/ld+json"]');
     }
 
     return null;
@@ -99,7 +326,7 @@ export class AmazonExtractor {
   /**
    * Extract from Amazon's priceToPay element
    */
-  extractFromPriceToPay($) {
+  extractFromPriceToPay($, options = {}) {
     const selectors = [
       '[id="priceToPay"]',
       '[class*="priceToPay"]',
@@ -110,10 +337,10 @@ export class AmazonExtractor {
       const element = $(selector).first();
       if (element.length) {
         const priceText = element.find('.a-offscreen').text() || element.text();
-        const price = parsePrice(priceText);
+        const price = parsePrice(priceText, options);
         
         if (price) {
-          return normalizePrice({ price: price.toString() });
+          return withSource(normalizePrice({ price: priceText }, options), 'extractFromPriceToPay', selector);
         }
       }
     }
@@ -124,34 +351,21 @@ export class AmazonExtractor {
   /**
    * Extract from offer blocks
    */
-  extractFromOffers($) {
+  extractFromOffers($, options = {}) {
+    // Bare .a-price-whole elements lack the fraction; extractFromCorePrice handles them
     const offerSelectors = [
       '[data-a-color="price"]',
-      '.a-price',
-      '.a-price-whole'
+      '.a-price'
     ];
 
     for (const selector of offerSelectors) {
       const elements = $(selector);
       
       for (let i = 0; i < elements.length; i++) {
-        const element = $(elements[i]);
-        const priceText = element.find('.a-offscreen').text() || element.text();
-        const price = parsePrice(priceText);
-        
-        if (price) {
-          // Check for list price to determine if on sale
-          const listPriceElement = element.siblings('[data-a-strike="true"]').first();
-          let listPrice = null;
-          
-          if (listPriceElement.length) {
-            listPrice = parsePrice(listPriceElement.find('.a-offscreen').text() || listPriceElement.text());
-          }
+        const priceData = this.parseOfferPrice($(elements[i]), options);
 
-          return normalizePrice({
-            price: price.toString(),
-            listPrice: listPrice ? listPrice.toString() : null
-          });
+        if (priceData) {
+          return withSource(priceData, 'extractFromOffers', selector);
         }
       }
     }
@@ -159,23 +373,163 @@ export class AmazonExtractor {
     return null;
   }
 
+  /**
+   * Parse one offer's price element, with the strike-through list price next to it
+   * @param {Cheerio} element - .a-price element
+   * @param {Object} options - Parsing options ({ locale, url })
+   * @returns {Object|null} - Normalized price data or null
+   */
+  parseOfferPrice(element, options = {}) {
+    const priceText = element.find('.a-offscreen').text() || element.text();
+
+    if (!parsePrice(priceText, options)) return null;
+
+    // Check for list price to determine if on sale
+    const listPriceElement = element.siblings('[data-a-strike="true"]').first();
+    let listPrice = null;
+
+    if (listPriceElement.length) {
+      const listPriceText = listPriceElement.find('.a-offscreen').text() || listPriceElement.text();
+      listPrice = parsePrice(listPriceText, options) ? listPriceText : null;
+    }
+
+    return normalizePrice({
+      price: priceText,
+      listPrice: listPrice
+    }, options);
+  }
+
+  /**
+   * Read the ASIN from a product URL (/dp/<ASIN>, /gp/product/<ASIN>, /gp/aw/d/<ASIN>, ...)
+   * @param {string} url - Product URL
+   * @returns {string|null} - ASIN or null
+   */
+  getAsin(url) {
+    return url?.match(/\/(?:dp|gp\/product|gp\/aw\/d|exec\/obidos\/ASIN|o\/ASIN)\/([A-Z0-9]{10})(?=[/?#]|$)/i)?.[1] || null;
+  }
+
+  /**
+   * Canonical product key: marketplace country and ASIN (e.g. "amazon:US:B08N5WRWNW")
+   * @param {string} url - Product URL
+   * @returns {string|null} - Product key, or null without an ASIN or a known marketplace
+   */
+  getProductKey(url) {
+    const asin = this.getAsin(url);
+    const marketplace = this.getMarketplace(url);
+    if (!asin || !marketplace) return null;
+
+    return `amazon:${marketplace.country}:${asin.toUpperCase()}`;
+  }
+
+  /**
+   * Extract product metadata from the detail page, falling back to JSON-LD
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object|null} - Product metadata (see emptyProduct) or null
+   */
+  extractProduct(html, context = {}) {
+    if (!html) return null;
+
+    const $ = cheerio.load(html);
+    const image = $('#landingImage, #imgBlkFront').first();
+    let dynamicImages = [];
+
+    try {
+      // data-a-dynamic-image maps each image size URL to its dimensions
+      dynamicImages = Object.keys(JSON.parse(image.attr('data-a-dynamic-image') || '{}'));
+    } catch (e) {
+      // Keep the plain image attributes
+    }
+
+    return mergeProduct({
+      title: $('#productTitle').text().trim() || null,
+      brand: $('#bylineInfo').text().trim()
+        .replace(/^Visit the\s+|\s+Store$/gi, '')
+        .replace(/^(?:Brand|Marke|Marque|Marca):\s*/i, '') || null,
+      images: [image.attr('data-old-hires'), ...dynamicImages, image.attr('src')],
+      identifiers: {
+        asin: $('#ASIN').attr('value') || html.match(/"currentAsin"\s*:\s*"(\w+)"/)?.[1] || this.getAsin(context.url)
+      },
+      categories: $('#wayfinding-breadcrumbs_feature_div a').map((i, link) => $(link).text()).get(),
+      rating: toNumber($('#acrPopover').attr('title') || $('#acrPopover .a-icon-alt').first().text()),
+      reviewCount: toCount($('#acrCustomerReviewText').first().text())
+    }, extractBaseProduct($));
+  }
+
+  /**
+   * URL of the all-offers display (AOD) fragment for a product page
+   * @param {string} url - Product URL
+   * @returns {string|null} - AOD fragment URL, or null without an ASIN or a parseable URL
+   */
+  getOffersUrl(url) {
+    const asin = this.getAsin(url);
+    const baseUrl = parseUrl(url);
+    if (!asin || !baseUrl) return null;
+
+    return new URL(`/gp/product/ajax/?asin=${asin}&pc=dp&experienceId=aodAjaxMain`, baseUrl).href;
+  }
+
+  /**
+   * List every seller offer from the all-offers display (pinned buy-box offer first)
+   * @param {string} html - AOD fragment or product page HTML
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object[]} - [{ sellerName, sellerId, condition, priceData, fulfilledByRetailer, isBuyBox }]
+   */
+  extractOffers(html, context = {}) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html);
+    const options = this.getParseOptions(context.url);
+    const offers = [];
+
+    // AOD repeats the same element ids inside every offer block
+    $('#aod-pinned-offer, #aod-offer').each((i, element) => {
+      const offer = $(element);
+      const priceData = this.parseOfferPrice(offer.find('#aod-offer-price .a-price, .a-price').first(), options);
+      if (!priceData) return;
+
+      const soldBy = offer.find('#aod-offer-soldBy a, #aod-offer-soldBy .a-color-base').first();
+      const shipsFrom = offer.find('#aod-offer-shipsFrom .a-color-base').first().text().trim();
+      const sellerName = soldBy.text().trim() || shipsFrom || null;
+
+      offers.push({
+        sellerName,
+        sellerId: soldBy.attr('href')?.match(/seller=(\w+)/)?.[1] || null,
+        condition: parseCondition(offer.find('#aod-offer-heading').text()),
+        priceData: applyPriceDetails(priceData, {
+          shippingCost: offer.find('[data-csa-c-delivery-price]').first().attr('data-csa-c-delivery-price')
+        }, options),
+        fulfilledByRetailer: /amazon/i.test(shipsFrom || sellerName || ''),
+        isBuyBox: offer.is('#aod-pinned-offer')
+      });
+    });
+
+    return offers;
+  }
+
   /**
    * Extract from A-core-price elements (newer Amazon format)
    */
-  extractFromCorePrice($) {
+  extractFromCorePrice($, options = {}) {
     const corePrice = $('[class*="a-price-whole"]').first();
     const coreFraction = $('[class*="a-price-fraction"]').first();
+    const coreSymbol = $('[class*="a-price-symbol"]').first();
 
     if (corePrice.length) {
       const whole = corePrice.text().replace(/[^\d]/g, '');
       const fraction = coreFraction.length ? coreFraction.text().replace(/[^\d]/g, '') : '00';
       
       if (whole) {
-        const priceString = `${whole}.${fraction}`;
+        const priceString = `${coreSymbol.text().trim()}${whole}.${fraction}`;
         const price = parsePrice(priceString);
         
         if (price) {
-          return normalizePrice({ price: price.toString() });
+          // Whole and fraction are already split, so skip locale separator handling
+          return withSource(
+            normalizePrice({ price: priceString }, { url: options.url, currency: options.currency }),
+            'extractFromCorePrice',
+            '[class*="a-price-whole"]'
+          );
         }
       }
     }
@@ -187,8 +541,6 @@ export class AmazonExtractor {
    * Check if product requires "see price in cart"
    */
   isCartPrice(html) {
-    if (!html) return false;
-    
-    return /see price in cart|add to cart to see price|price available in cart/i.test(html);
+    return this.detectPriceVisibility(html) === PRICE_VISIBILITY.CART;
   }
 }
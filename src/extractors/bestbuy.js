@@ -0,0 +1,137 @@
+import * as cheerio from 'cheerio';
+import { parsePrice, normalizePrice } from '../utils/priceParser.js';
+import { withSource } from '../utils/provenance.js';
+
+/**
+ * Best Buy-specific price extractor
+ * Handles Best Buy's priceView components and SKU pricing JSON
+ */
+export class BestBuyExtractor {
+  /**
+   * Extract price from Best Buy product page HTML
+   * @param {string} html - HTML content
+   * @returns {Object|null} - Price data or null
+   */
+  extract(html) {
+    return this.extractCandidates(html)[0] || null;
+  }
+
+  /**
+   * Run every extraction method and collect the prices they find
+   * @param {string} html - HTML content
+   * @returns {Object[]} - Price data with source, most reliable method first
+   */
+  extractCandidates(html) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html);
+
+    return [
+      // Method 1: Extract from embedded SKU pricing JSON
+      this.extractFromSkuJson($),
+
+      // Method 2: Extract from priceView display elements
+      this.extractFromPriceView($)
+    ].filter(Boolean);
+  }
+
+  /**
+   * Canonical product key from the SKU in /site/<slug>/<sku>.p or ?skuId=<sku> (e.g. "bestbuy:6505727")
+   * @param {string} url - Product URL
+   * @returns {string|null} - Product key or null
+   */
+  getProductKey(url) {
+    const sku = url?.match(/\/(\d+)\.p(?=[/?#]|$)|[?&]skuId=(\d+)/);
+    return sku ? `bestbuy:${sku[1] || sku[2]}` : null;
+  }
+
+  /**
+   * Extract price from priceView / priceDomain JSON blocks in script tags
+   */
+  extractFromSkuJson($) {
+    const blockPattern = /"(?:priceView|priceDomain)":\s*(\{[^{}]*\})/g;
+    const scripts = $('script');
+
+    for (let i = 0; i < scripts.length; i++) {
+      const content = $(scripts[i]).html();
+      if (!content) continue;
+
+      if ($(scripts[i]).attr('type') === 'application/json') {
+        try {
+          const price = this.findPriceInSkuData(JSON.parse(content));
+          if (price) return withSource(price, 'extractFromSkuJson', 'script[type="application/json"]');
+        } catch (e) {
+          // Fall through to pattern matching
+        }
+      }
+
+      for (const match of content.matchAll(blockPattern)) {
+        try {
+          const price = this.findPriceInSkuData(JSON.parse(match[1]));
+          if (price) return withSource(price, 'extractFromSkuJson', blockPattern.source);
+        } catch (e) {
+          continue;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Recursively find SKU price object (customerPrice / currentPrice / regularPrice)
+   */
+  findPriceInSkuData(obj) {
+    if (!obj || typeof obj !== 'object') return null;
+
+    const current = obj.customerPrice ?? obj.currentPrice;
+    if (typeof current === 'number' && current > 0) {
+      return this.buildPrice(current, obj.regularPrice);
+    }
+
+    for (const key in obj) {
+      if (typeof obj[key] === 'object') {
+        const result = this.findPriceInSkuData(obj[key]);
+        if (result) return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract from priceView display elements
+   */
+  extractFromPriceView($) {
+    const selectors = [
+      '.priceView-customer-price span[aria-hidden="true"]',
+      '.priceView-customer-price span',
+      '[data-testid="customer-price"] span'
+    ];
+
+    for (const selector of selectors) {
+      const current = parsePrice($(selector).first().text().trim());
+
+      if (current) {
+        const regularText = $('.pricing-price__regular-price').first().text().trim();
+        return withSource(this.buildPrice(current, parsePrice(regularText)), 'extractFromPriceView', selector);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build normalized price data from current and regular prices
+   */
+  buildPrice(current, regular) {
+    const onSale = regular && Number(regular) > Number(current);
+
+    return normalizePrice({
+      price: (onSale ? regular : current).toString(),
+      salePrice: onSale ? current.toString() : null,
+      listPrice: onSale ? regular.toString() : null,
+      currency: 'USD'
+    });
+  }
+}
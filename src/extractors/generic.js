@@ -1,5 +1,20 @@
 import * as cheerio from 'cheerio';
 import { parsePrice, normalizePrice } from '../utils/priceParser.js';
+import { withSource } from '../utils/provenance.js';
+import { parseJsonLd } from '../utils/jsonLd.js';
+import { extractBaseProduct } from '../utils/product.js';
+import { extractSchemaAvailability, parseAvailabilityText } from '../utils/availability.js';
+import { PRICE_VISIBILITY, parsePriceVisibility } from '../utils/priceVisibility.js';
+
+/**
+ * Elements that hold a product's own stock message; the rest of the page (related items, reviews) is ignored
+ */
+const AVAILABILITY_SELECTORS = [
+  '#availability',
+  '[class*="availability"]',
+  '[data-test*="availability"]',
+  '[class*="stock-status"]'
+];
 
 /**
  * Generic price extractor using common methods
@@ -9,46 +24,123 @@ export class GenericExtractor {
   /**
    * Extract price from HTML using common methods
    * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
    * @returns {Object|null} - Price data or null
    */
-  extract(html) {
+  extract(html, context = {}) {
+    return this.extractCandidates(html, context)[0] || null;
+  }
+
+  /**
+   * Run every extraction method and collect the prices they find
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object[]} - Price data with source, most reliable method first
+   */
+  extractCandidates(html, context = {}) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html);
+    const options = { url: context.url };
+
+    return [
+      // Method 1: Try JSON-LD structured data
+      this.extractFromJsonLd($, options),
+
+      // Method 2: Try Open Graph meta tags
+      this.extractFromOpenGraph($, options),
+
+      // Method 3: Try common CSS selectors
+      this.extractFromCommonSelectors($, options)
+    ].filter(Boolean);
+  }
+
+  /**
+   * Detect product availability
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object|null} - { status, quantity } (see AVAILABILITY) or null if unknown
+   */
+  extractAvailability(html) {
     if (!html) return null;
 
     const $ = cheerio.load(html);
+    const schema = extractSchemaAvailability($);
+    if (schema) return schema;
+
+    for (const selector of AVAILABILITY_SELECTORS) {
+      const availability = parseAvailabilityText($(selector).first().text());
+      if (availability) return availability;
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect a price hidden behind the cart, sign-in or a quote request
+   * Only price and cart containers are checked, not the whole page
+   * @param {string} html - HTML content
+   * @returns {string} - PRICE_VISIBILITY value
+   */
+  detectPriceVisibility(html) {
+    if (!html) return PRICE_VISIBILITY.PUBLIC;
+
+    const $ = cheerio.load(html);
+    const text = $('[class*="price"], [id*="price"], [class*="add-to-cart"], [class*="buy-box"]')
+      .slice(0, 20)
+      .map((i, element) => $(element).text())
+      .get()
+      .join(' ');
 
-    // Method 1: Try JSON-LD structured data
-    const jsonLdPrice = this.extractFromJsonLd($);
-    if (jsonLdPrice) return jsonLdPrice;
+    return parsePriceVisibility(text) || PRICE_VISIBILITY.PUBLIC;
+  }
 
-    // Method 2: Try Open Graph meta tags
-    const ogPrice = this.extractFromOpenGraph($);
-    if (ogPrice) return ogPrice;
+  /**
+   * Extract the strike-through list price, which stays public when the selling price is hidden
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object|null} - Price data with source or null
+   */
+  extractListPrice(html, context = {}) {
+    if (!html) return null;
 
-    // Method 3: Try common CSS selectors
-    const cssPrice = this.extractFromCommonSelectors($);
-    if (cssPrice) return cssPrice;
+    const $ = cheerio.load(html);
+
+    for (const selector of ['[class*="list-price"]', '[class*="was-price"]', '[class*="price"] del', '[class*="price"] s']) {
+      const priceText = $(selector).first().text().trim();
+
+      if (parsePrice(priceText)) {
+        return withSource(
+          normalizePrice({ price: priceText, listPrice: priceText }, { url: context.url }),
+          'extractFromListPrice',
+          selector
+        );
+      }
+    }
 
     return null;
   }
 
+  /**
+   * Extract product metadata from JSON-LD, Open Graph and microdata
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object|null} - Product metadata (see emptyProduct) or null
+   */
+  extractProduct(html) {
+    if (!html) return null;
+
+    return extractBaseProduct(cheerio.load(html));
+  }
+
   /**
    * Extract price from JSON-LD structured data
    */
-  extractFromJsonLd($) {
-    const jsonLdScripts = $('script[type="application/ld+json"]');
-
-    for (let i = 0; i < jsonLdScripts.length; i++) {
-      try {
-        const script = jsonLdScripts[i];
-        const content = $(script).html();
-        if (!content) continue;
-
-        const data = JSON.parse(content);
-        const price = this.findPriceInJsonLd(data);
-        if (price) return normalizePrice(price);
-      } catch (e) {
-        // Continue to next script
-        continue;
+  extractFromJsonLd($, options = {}) {
+    for (const data of parseJsonLd($)) {
+      const price = this.findPriceInJsonLd(data);
+      if (price) {
+        return withSource(normalizePrice(price, options), 'extractFromJsonLd', 'script[type="application/ld+json"]');
       }
     }
 
@@ -86,15 +178,15 @@ export class GenericExtractor {
   /**
    * Extract price from Open Graph meta tags
    */
-  extractFromOpenGraph($) {
+  extractFromOpenGraph($, options = {}) {
     const ogPrice = $('meta[property="product:price:amount"]').attr('content');
     const ogCurrency = $('meta[property="product:price:currency"]').attr('content');
 
     if (ogPrice) {
-      return normalizePrice({
+      return withSource(normalizePrice({
         price: ogPrice,
-        currency: ogCurrency || 'USD'
-      });
+        currency: ogCurrency
+      }, options), 'extractFromOpenGraph', 'meta[property="product:price:amount"]');
     }
 
     return null;
@@ -103,7 +195,7 @@ export class GenericExtractor {
   /**
    * Extract price from common CSS selectors
    */
-  extractFromCommonSelectors($) {
+  extractFromCommonSelectors($, options = {}) {
     const selectors = [
       '.price',
       '.product-price',
@@ -121,7 +213,7 @@ export class GenericExtractor {
         if (priceText) {
           const price = parsePrice(priceText);
           if (price) {
-            return normalizePrice({ price: price.toString() });
+            return withSource(normalizePrice({ price: priceText }, options), 'extractFromCommonSelectors', selector);
           }
         }
       }
@@ -0,0 +1,133 @@
+import { parseUrl, matchesDomain } from '../utils/productUrl.js';
+
+/**
+ * Vendor extractor registry
+ * Maps hostnames to vendors and decides which extractors run, and in which order
+ */
+export class ExtractorRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.defaultVendor - Vendor used when no host pattern matches (default: 'generic')
+   */
+  constructor(options = {}) {
+    this.defaultVendor = options.defaultVendor || 'generic';
+    this.entries = new Map();
+  }
+
+  /**
+   * Register (or replace) a vendor extractor
+   * @param {string} name - Vendor name (e.g., 'amazon')
+   * @param {Object} config - Extractor configuration
+   * @param {Array<string|RegExp>} config.hostPatterns - Domains ('target.com'), domain prefixes ending in '.' ('shop.')
+   *   or hostname patterns that identify the vendor; domains match on label boundaries, so subdomains match
+   * @param {Object} config.extractor - Object with an extract(html, context) method; omit for detection-only vendors
+   * @param {number} config.priority - Detection priority, higher wins when several vendors match (default: 0)
+   * @param {string[]} config.fallbacks - Vendors whose extractors run, in order, when this one finds nothing
+   * @returns {ExtractorRegistry} - This registry, for chaining
+   */
+  register(name, config = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Extractor name is required');
+    }
+
+    const { hostPatterns = [], extractor = null, priority = 0, fallbacks = [] } = config;
+
+    if (extractor && typeof extractor.extract !== 'function') {
+      throw new Error(`Extractor for ${name} must implement extract(html)`);
+    }
+
+    if (!Array.isArray(hostPatterns) || !Array.isArray(fallbacks)) {
+      throw new Error(`hostPatterns and fallbacks for ${name} must be arrays`);
+    }
+
+    this.entries.set(name, {
+      name,
+      hostPatterns,
+      extractor,
+      priority,
+      fallbacks,
+      order: this.entries.has(name) ? this.entries.get(name).order : this.entries.size
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove a registered vendor
+   * @param {string} name - Vendor name
+   * @returns {boolean} - True if the vendor was registered
+   */
+  unregister(name) {
+    return this.entries.delete(name);
+  }
+
+  /**
+   * Get a registered vendor entry
+   * @param {string} name - Vendor name
+   * @returns {Object|null} - Registry entry or null
+   */
+  get(name) {
+    return this.entries.get(name) || null;
+  }
+
+  /**
+   * Detect vendor from URL by matching its hostname against registered patterns
+   * @param {string} url - Product URL
+   * @returns {string} - Vendor name, or the default vendor
+   */
+  detect(url) {
+    const hostname = this.getHostname(url);
+
+    const candidates = [...this.entries.values()]
+      .filter(entry => entry.hostPatterns.length > 0)
+      .sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+    for (const entry of candidates) {
+      const matches = entry.hostPatterns.some(pattern =>
+        pattern instanceof RegExp ? pattern.test(hostname) : matchesDomain(hostname, pattern)
+      );
+
+      if (matches) {
+        return entry.name;
+      }
+    }
+
+    return this.defaultVendor;
+  }
+
+  /**
+   * Get the ordered list of extractors to try for a vendor
+   * Detection-only or unknown vendors use the default vendor's chain
+   * @param {string} vendor - Vendor name
+   * @returns {Array<{name: string, extractor: Object}>} - Extractors in the order they should run
+   */
+  getExtractorChain(vendor) {
+    let entry = this.get(vendor);
+
+    if (!entry || !entry.extractor) {
+      entry = this.get(this.defaultVendor);
+    }
+
+    if (!entry) return [];
+
+    const chain = [];
+    const seen = new Set();
+
+    for (const name of [entry.name, ...entry.fallbacks]) {
+      const fallback = this.get(name);
+      if (seen.has(name) || !fallback?.extractor) continue;
+
+      seen.add(name);
+      chain.push({ name, extractor: fallback.extractor });
+    }
+
+    return chain;
+  }
+
+  /**
+   * Extract lowercase hostname from URL (scheme optional), falling back to the raw string
+   */
+  getHostname(url) {
+    return parseUrl(url)?.hostname.toLowerCase() || String(url || '').toLowerCase();
+  }
+}
@@ -0,0 +1,155 @@
+import * as cheerio from 'cheerio';
+import { parsePrice, normalizePrice } from '../utils/priceParser.js';
+import { withSource } from '../utils/provenance.js';
+
+/**
+ * Target-specific price extractor
+ * Handles Target's __TGT_DATA__ state and Redsky-style product JSON
+ */
+export class TargetExtractor {
+  /**
+   * Extract price from Target product page HTML
+   * @param {string} html - HTML content
+   * @returns {Object|null} - Price data or null
+   */
+  extract(html) {
+    return this.extractCandidates(html)[0] || null;
+  }
+
+  /**
+   * Run every extraction method and collect the prices they find
+   * @param {string} html - HTML content
+   * @returns {Object[]} - Price data with source, most reliable method first
+   */
+  extractCandidates(html) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html);
+
+    return [
+      // Method 1: Extract from embedded __TGT_DATA__ / Redsky JSON
+      this.extractFromTgtData($),
+
+      // Method 2: Extract from price display elements
+      this.extractFromPriceDisplay($)
+    ].filter(Boolean);
+  }
+
+  /**
+   * Canonical product key from the TCIN in /p/<slug>/-/A-<tcin> (e.g. "target:81114477")
+   * @param {string} url - Product URL
+   * @returns {string|null} - Product key or null
+   */
+  getProductKey(url) {
+    const tcin = url?.match(/\/A-(\d+)(?=[/?#]|$)/)?.[1];
+    return tcin ? `target:${tcin}` : null;
+  }
+
+  /**
+   * Extract price from window.__TGT_DATA__ or JSON script blocks
+   */
+  extractFromTgtData($) {
+    const scripts = $('script');
+
+    for (let i = 0; i < scripts.length; i++) {
+      const content = $(scripts[i]).html();
+      if (!content) continue;
+
+      const isJsonScript = $(scripts[i]).attr('type') === 'application/json';
+      if (!isJsonScript && !content.includes('__TGT_DATA__') && !content.includes('__PRELOADED_QUERIES__')) {
+        continue;
+      }
+
+      const state = this.parseStateScript(content, isJsonScript);
+      if (!state) continue;
+
+      const price = this.findPriceInState(state);
+      if (price) {
+        return withSource(price, 'extractFromTgtData', isJsonScript ? 'script[type="application/json"]' : '__TGT_DATA__');
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a state script, which is either raw JSON, a JSON.parse("...") call
+   * or a plain object literal assignment
+   */
+  parseStateScript(content, isJsonScript) {
+    try {
+      if (isJsonScript) {
+        return JSON.parse(content);
+      }
+
+      // Target ships state as JSON.parse("{\"__PRELOADED_QUERIES__\":...}")
+      const encoded = content.match(/JSON\.parse\(\s*"((?:[^"\\]|\\.)*)"\s*\)/);
+      if (encoded) {
+        return JSON.parse(JSON.parse(`"${encoded[1]}"`));
+      }
+
+      const start = content.indexOf('{');
+      const end = content.lastIndexOf('}');
+      if (start !== -1 && end > start) {
+        return JSON.parse(content.slice(start, end + 1));
+      }
+    } catch (e) {
+      // Not parseable state
+    }
+
+    return null;
+  }
+
+  /**
+   * Recursively find Redsky price object (current_retail / reg_retail)
+   */
+  findPriceInState(obj) {
+    if (!obj || typeof obj !== 'object') return null;
+
+    if (obj.current_retail !== undefined || obj.formatted_current_price !== undefined) {
+      const current = obj.current_retail ?? obj.current_retail_min ?? parsePrice(obj.formatted_current_price);
+      const regular = obj.reg_retail ?? parsePrice(obj.formatted_comparison_price);
+
+      if (current) {
+        return this.buildPrice(current, regular);
+      }
+    }
+
+    for (const key in obj) {
+      if (typeof obj[key] === 'object') {
+        const result = this.findPriceInState(obj[key]);
+        if (result) return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract from price display elements
+   */
+  extractFromPriceDisplay($) {
+    const priceText = $('[data-test="product-price"]').first().text().trim();
+    const current = parsePrice(priceText);
+
+    if (!current) return null;
+
+    const regular = parsePrice($('[data-test="product-regular-price"]').first().text().trim());
+
+    return withSource(this.buildPrice(current, regular), 'extractFromPriceDisplay', '[data-test="product-price"]');
+  }
+
+  /**
+   * Build normalized price data from current and regular prices
+   */
+  buildPrice(current, regular) {
+    const onSale = regular && Number(regular) > Number(current);
+
+    return normalizePrice({
+      price: (onSale ? regular : current).toString(),
+      salePrice: onSale ? current.toString() : null,
+      listPrice: onSale ? regular.toString() : null,
+      currency: 'USD'
+    });
+  }
+}
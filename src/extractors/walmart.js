@@ -1,5 +1,15 @@
 import * as cheerio from 'cheerio';
-import { parsePrice, normalizePrice } from '../utils/priceParser.js';
+import { parsePrice, normalizePrice, applyPriceDetails } from '../utils/priceParser.js';
+import { withSource } from '../utils/provenance.js';
+import { extractSchemaAvailability, parseAvailabilityValue } from '../utils/availability.js';
+import { parseCondition } from '../utils/offers.js';
+import { extractBaseProduct, mergeProduct, toNumber, toCount } from '../utils/product.js';
+import { parseUrl } from '../utils/productUrl.js';
+
+/**
+ * Fulfillment types shipped by Walmart itself (WFS: Walmart Fulfillment Services)
+ */
+const RETAILER_FULFILLMENT = ['WALMART', 'WFS'];
 
 /**
  * Walmart-specific price extractor
@@ -9,32 +19,317 @@ export class WalmartExtractor {
   /**
    * Extract price from Walmart product page HTML
    * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
    * @returns {Object|null} - Price data or null
    */
-  extract(html) {
+  extract(html, context = {}) {
+    return this.extractCandidates(html, context)[0] || null;
+  }
+
+  /**
+   * Run every extraction method and collect the prices they find
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object[]} - Price data with source, most reliable method first
+   */
+  extractCandidates(html, context = {}) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html);
+    const options = { url: context.url };
+    const details = this.extractPriceDetails($);
+
+    return [
+      // Method 1: Extract from embedded JSON state
+      this.extractFromJsonState($, html, options),
+
+      // Method 2: Extract from price display elements
+      this.extractFromPriceDisplay($, options),
+
+      // Method 3: Extract from meta tags
+      this.extractFromMetaTags($, options)
+    ]
+      .filter(Boolean)
+      .map(candidate => applyPriceDetails(candidate, details, options));
+  }
+
+  /**
+   * Detect availability from availabilityStatus in the embedded state, then schema.org markup
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object|null} - { status, quantity } (see AVAILABILITY) or null if unknown
+   */
+  extractAvailability(html) {
+    if (!html) return null;
+
+    const $ = cheerio.load(html);
+    const states = [
+      $('script#__NEXT_DATA__').html(),
+      html.match(/window\.__WML_REDUX_INITIAL_STATE__\s*=\s*(\{[\s\S]*?\});/)?.[1]
+    ];
+
+    for (const state of states.filter(Boolean)) {
+      try {
+        const availability = this.findAvailabilityInState(JSON.parse(state));
+        if (availability) return availability;
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return extractSchemaAvailability($);
+  }
+
+  /**
+   * Enumerate variants from the variantsMap / variantCriteria in the Next.js page data
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object[]} - [{ id, idType, attributes, url, selected, priceData, availability }]
+   */
+  extractVariants(html, context = {}) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html);
+    let product = null;
+
+    try {
+      product = this.findVariantProduct(JSON.parse($('script#__NEXT_DATA__').html() || 'null'));
+    } catch (e) {
+      return [];
+    }
+
+    if (!product) return [];
+
+    // Map criterion value ids ("actual_color-blue") to { attribute name, display value }
+    const values = {};
+    for (const criterion of product.variantCriteria || []) {
+      for (const value of criterion.variantList || []) {
+        values[value.id] = { name: criterion.id || criterion.name, value: value.name };
+      }
+    }
+
+    const options = { url: context.url };
+    const baseUrl = parseUrl(context.url) || 'https://www.walmart.com';
+
+    return Object.values(product.variantsMap).map(variant => {
+      const attributes = {};
+      for (const valueId of variant.variants || []) {
+        if (values[valueId]) attributes[values[valueId].name] = values[valueId].value;
+      }
+
+      const itemId = String(variant.usItemId);
+
+      return {
+        id: itemId,
+        idType: 'itemId',
+        attributes,
+        url: new URL(variant.productUrl || `/ip/${itemId}`, baseUrl).href,
+        selected: itemId === String(product.usItemId),
+        priceData: variant.priceInfo?.currentPrice
+          ? withSource(this.buildFromPriceInfo(variant.priceInfo, options), 'extractFromJsonState', 'variantsMap')
+          : null,
+        availability: parseAvailabilityValue(variant.availabilityStatus)
+      };
+    });
+  }
+
+  /**
+   * List seller offers from the sellers / offers arrays in the Next.js page data
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object[]} - [{ sellerName, sellerId, condition, priceData, fulfilledByRetailer, isBuyBox }]
+   */
+  extractOffers(html, context = {}) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html);
+    let offers = null;
+
+    try {
+      offers = this.findOffersInState(JSON.parse($('script#__NEXT_DATA__').html() || 'null'));
+    } catch (e) {
+      return [];
+    }
+
+    const options = { url: context.url };
+
+    return (offers || []).map(offer => {
+      const priceInfo = offer.priceInfo || { currentPrice: { price: offer.price, currencyUnit: offer.currency } };
+      const sellerName = offer.sellerDisplayName || offer.sellerName || null;
+
+      return {
+        sellerName,
+        sellerId: offer.sellerId || null,
+        condition: parseCondition(offer.condition || offer.conditionType),
+        priceData: this.buildFromPriceInfo({
+          ...priceInfo,
+          shipPrice: priceInfo.shipPrice ?? (offer.shippingPrice !== undefined ? { price: offer.shippingPrice } : undefined)
+        }, options),
+        fulfilledByRetailer: RETAILER_FULFILLMENT.includes(String(offer.fulfillmentType).toUpperCase()) ||
+          /^walmart(\.com)?$/i.test(sellerName || ''),
+        isBuyBox: !!(offer.isBuyBoxWinner ?? offer.buyBoxWinner)
+      };
+    }).filter(offer => offer.priceData);
+  }
+
+  /**
+   * Recursively find the first sellers / offers array whose entries name a seller
+   */
+  findOffersInState(obj) {
+    if (!obj || typeof obj !== 'object') return null;
+
+    for (const key of ['offers', 'sellers', 'allOffers']) {
+      const list = obj[key];
+      if (Array.isArray(list) && list.some(entry => entry?.sellerName || entry?.sellerDisplayName || entry?.sellerId)) {
+        return list;
+      }
+    }
+
+    for (const key in obj) {
+      if (typeof obj[key] === 'object') {
+        const result = this.findOffersInState(obj[key]);
+        if (result) return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the item ID from a product URL (/ip/<slug>/<itemId> or /ip/<itemId>)
+   * @param {string} url - Product URL
+   * @returns {string|null} - Item ID or null
+   */
+  getItemId(url) {
+    return url?.match(/\/ip\/(?:[^/?#]+\/)?(\d+)(?=[/?#]|$)/)?.[1] || null;
+  }
+
+  /**
+   * Canonical product key (e.g. "walmart:46470587")
+   * @param {string} url - Product URL
+   * @returns {string|null} - Product key, or null without an item ID
+   */
+  getProductKey(url) {
+    const itemId = this.getItemId(url);
+    return itemId ? `walmart:${itemId}` : null;
+  }
+
+  /**
+   * Extract product metadata from the Next.js page data, falling back to JSON-LD
+   * @param {string} html - HTML content
+   * @param {Object} context - Extraction context ({ url })
+   * @returns {Object|null} - Product metadata (see emptyProduct) or null
+   */
+  extractProduct(html, context = {}) {
     if (!html) return null;
 
     const $ = cheerio.load(html);
+    let item = {};
+
+    try {
+      item = this.findProductInState(JSON.parse($('script#__NEXT_DATA__').html() || 'null')) || {};
+    } catch (e) {
+      // Fall back to JSON-LD
+    }
+
+    return mergeProduct({
+      title: item.name,
+      brand: item.brand,
+      images: (item.imageInfo?.allImages || []).map(image => image.url),
+      identifiers: {
+        itemId: item.usItemId ?? this.getItemId(context.url),
+        gtin: item.upc || item.gtin13
+      },
+      categories: (item.category?.path || []).map(entry => entry.name),
+      rating: toNumber(item.averageRating),
+      reviewCount: toCount(item.numberOfReviews)
+    }, extractBaseProduct($));
+  }
+
+  /**
+   * Recursively find the product object (usItemId with a name) in the page data
+   */
+  findProductInState(obj) {
+    if (!obj || typeof obj !== 'object') return null;
+
+    if (obj.usItemId && obj.name) return obj;
+
+    for (const key in obj) {
+      if (typeof obj[key] === 'object') {
+        const result = this.findProductInState(obj[key]);
+        if (result) return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Recursively find the product object carrying a variantsMap
+   */
+  findVariantProduct(obj) {
+    if (!obj || typeof obj !== 'object') return null;
+
+    if (obj.variantsMap && typeof obj.variantsMap === 'object') return obj;
+
+    for (const key in obj) {
+      if (typeof obj[key] === 'object') {
+        const result = this.findVariantProduct(obj[key]);
+        if (result) return result;
+      }
+    }
 
-    // Method 1: Extract from embedded JSON state
-    const jsonPrice = this.extractFromJsonState($, html);
-    if (jsonPrice) return jsonPrice;
+    return null;
+  }
 
-    // Method 2: Extract from price display elements
-    const displayPrice = this.extractFromPriceDisplay($);
-    if (displayPrice) return displayPrice;
+  /**
+   * Recursively find availabilityStatus in Walmart state object
+   */
+  findAvailabilityInState(obj) {
+    if (!obj || typeof obj !== 'object') return null;
 
-    // Method 3: Extract from meta tags
-    const metaPrice = this.extractFromMetaTags($);
-    if (metaPrice) return metaPrice;
+    const status = parseAvailabilityValue(obj.availabilityStatus);
+    if (status) {
+      const quantity = obj.availableQuantity ?? obj.quantity;
+      return { status, quantity: typeof quantity === 'number' ? quantity : null };
+    }
+
+    for (const key in obj) {
+      if (typeof obj[key] === 'object') {
+        const result = this.findAvailabilityInState(obj[key]);
+        if (result) return result;
+      }
+    }
 
     return null;
   }
 
+  /**
+   * Collect unit price and shipping shown next to the price display
+   * @returns {Object} - Raw detail texts for applyPriceDetails
+   */
+  extractPriceDetails($) {
+    return {
+      unitPrice: $('[data-testid="price-per-unit"], [class*="price-per-unit"]').first().text().trim() || null,
+      shippingCost: $('[data-testid="fulfillment-shipping-text"]').first().text().trim() || null
+    };
+  }
+
   /**
    * Extract price from Walmart's embedded JSON state
    */
-  extractFromJsonState($, html) {
+  extractFromJsonState($, html, options = {}) {
+    // Current pages ship product data as Next.js page props
+    const nextData = $('script#__NEXT_DATA__').html();
+    if (nextData) {
+      try {
+        const price = this.findPriceInState(JSON.parse(nextData), options);
+        if (price) return withSource(price, 'extractFromJsonState', 'script#__NEXT_DATA__');
+      } catch (e) {
+        // Fall through to legacy state patterns
+      }
+    }
+
     // Walmart often embeds product data in script tags
     const scriptPatterns = [
       /window\.__WML_REDUX_INITIAL_STATE__\s*=\s*(\{[\s\S]*?\});/,
@@ -47,8 +342,8 @@ export class WalmartExtractor {
       if (match) {
         try {
           const stateData = JSON.parse(match[1]);
-          const price = this.findPriceInState(stateData);
-          if (price) return price;
+          const price = this.findPriceInState(stateData, options);
+          if (price) return withSource(price, 'extractFromJsonState', pattern.source);
         } catch (e) {
           continue;
         }
@@ -66,8 +361,8 @@ export class WalmartExtractor {
         if (match) {
           try {
             const stateData = JSON.parse(match[1]);
-            const price = this.findPriceInState(stateData);
-            if (price) return price;
+            const price = this.findPriceInState(stateData, options);
+            if (price) return withSource(price, 'extractFromJsonState', pattern.source);
           } catch (e) {
             continue;
           }
@@ -81,13 +376,18 @@ export class WalmartExtractor {
   /**
    * Recursively find price in Walmart state object
    */
-  findPriceInState(obj) {
+  findPriceInState(obj, options = {}) {
     if (!obj || typeof obj !== 'object') return null;
 
+    // Next.js priceInfo carries the full price breakdown
+    if (obj.priceInfo?.currentPrice) {
+      return this.buildFromPriceInfo(obj.priceInfo, options);
+    }
+
     // Check for common Walmart price properties
     if (obj.price !== undefined) {
       const price = typeof obj.price === 'object' ? obj.price.current?.price || obj.price.price : obj.price;
-      const currency = obj.currency || 'USD';
+      const currency = obj.currency;
       
       if (price) {
         const listPrice = obj.price.was || obj.wasPrice || obj.listPrice;
@@ -96,7 +396,7 @@ export class WalmartExtractor {
           price: price.toString(),
           listPrice: listPrice ? listPrice.toString() : null,
           currency: currency
-        });
+        }, options);
       }
     }
 
@@ -109,14 +409,14 @@ export class WalmartExtractor {
         return normalizePrice({
           price: price.toString(),
           listPrice: listPrice ? listPrice.toString() : null
-        });
+        }, options);
       }
     }
 
     // Recursively search
     for (const key in obj) {
       if (typeof obj[key] === 'object') {
-        const result = this.findPriceInState(obj[key]);
+        const result = this.findPriceInState(obj[key], options);
         if (result) return result;
       }
     }
@@ -124,10 +424,27 @@ export class WalmartExtractor {
     return null;
   }
 
+  /**
+   * Build normalized price data from a Next.js priceInfo object
+   */
+  buildFromPriceInfo(info, options = {}) {
+    const amount = entry => entry?.price ?? entry?.priceString ?? null;
+
+    return normalizePrice({
+      price: amount(info.currentPrice),
+      listPrice: amount(info.wasPrice) ?? amount(info.listPrice),
+      subscribePrice: amount(info.subscriptionPrice),
+      clubPrice: amount(info.memberPrice),
+      unitPrice: info.unitPrice?.priceString ?? null,
+      shippingCost: amount(info.shipPrice),
+      currency: info.currentPrice.currencyUnit
+    }, options);
+  }
+
   /**
    * Extract from price display elements
    */
-  extractFromPriceDisplay($) {
+  extractFromPriceDisplay($, options = {}) {
     const selectors = [
       '[data-testid="product-price"]',
       '[class*="PriceDisplay"]',
@@ -153,10 +470,10 @@ export class WalmartExtractor {
               wasPrice = parsePrice(wasPriceElement.text());
             }
 
-            return normalizePrice({
-              price: price.toString(),
+            return withSource(normalizePrice({
+              price: priceText,
               listPrice: wasPrice ? wasPrice.toString() : null
-            });
+            }, options), 'extractFromPriceDisplay', selector);
           }
         }
       }
@@ -168,21 +485,21 @@ export class WalmartExtractor {
   /**
    * Extract from meta tags
    */
-  extractFromMetaTags($) {
+  extractFromMetaTags($, options = {}) {
     // Try Open Graph
     const ogPrice = $('meta[property="product:price:amount"]').attr('content');
     if (ogPrice) {
-      const currency = $('meta[property="product:price:currency"]').attr('content') || 'USD';
-      return normalizePrice({
+      const currency = $('meta[property="product:price:currency"]').attr('content');
+      return withSource(normalizePrice({
         price: ogPrice,
         currency: currency
-      });
+      }, options), 'extractFromMetaTags', 'meta[property="product:price:amount"]');
     }
 
     // Try itemprop
     const itemPrice = $('[itemprop="price"]').attr('content');
     if (itemPrice) {
-      return normalizePrice({ price: itemPrice });
+      return withSource(normalizePrice({ price: itemPrice }, options), 'extractFromMetaTags', '[itemprop="price"]');
     }
 
     return null;
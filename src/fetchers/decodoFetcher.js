@@ -0,0 +1,76 @@
+import axios from 'axios';
+import { AuthError, UpstreamError, classifyFetchError } from '../utils/errors.js';
+import { parseRetryAfter } from '../utils/retry.js';
+
+/**
+ * Decodo scraping API fetcher
+ *
+ * Fetchers implement:
+ *   async fetch(url, settings, context) -> page HTML, throwing ScraperErrors (see utils/errors.js)
+ *     settings: { render, waitFor, headers, ...vendor options such as geo }
+ *     context: { signal, timeout, vendor }
+ *   maxRetries (optional) -> attempts per fetch, overriding the scraper's maxRetries
+ */
+export class DecodoFetcher {
+  /**
+   * @param {Object} options - Fetcher options
+   * @param {string} options.apiKey - Decodo API key
+   * @param {string} options.apiUrl - Decodo API base URL (default: DECODO_API_URL or https://api.decodo.com/v1)
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || null;
+    this.apiUrl = options.apiUrl || process.env.DECODO_API_URL || 'https://api.decodo.com/v1';
+  }
+
+  async fetch(url, settings = {}, context = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Decodo API key is required');
+    }
+
+    let response;
+    try {
+      response = await axios(this.buildRequest(url, settings, context));
+    } catch (error) {
+      throw classifyFetchError(error, { retryAfter: parseRetryAfter(error.response?.headers?.['retry-after']) });
+    }
+
+    return this.readHtml(response.data);
+  }
+
+  /**
+   * Build the Decodo scrape request
+   * @param {string} url - Page URL
+   * @param {Object} settings - Request settings, sent as the request body
+   * @param {Object} context - { signal, timeout }
+   * @returns {Object} - axios request config
+   */
+  buildRequest(url, settings = {}, context = {}) {
+    return {
+      url: `${this.apiUrl}/scrape`,
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: context.timeout,
+      signal: context.signal,
+      data: { url, ...settings }
+    };
+  }
+
+  /**
+   * Read the page HTML from a Decodo response body
+   * @param {Object|string} data - Response body: { html } or { content }, or the HTML itself
+   * @returns {string} - HTML content
+   * @throws {UpstreamError} - For an unexpected body
+   */
+  readHtml(data) {
+    const html = data?.html ?? data?.content ?? data;
+
+    if (typeof html !== 'string') {
+      throw new UpstreamError('Unexpected response format from Decodo API');
+    }
+
+    return html;
+  }
+}
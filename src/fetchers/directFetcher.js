@@ -0,0 +1,56 @@
+import axios from 'axios';
+import { BlockedError, UpstreamError, classifyFetchError } from '../utils/errors.js';
+import { parseRetryAfter } from '../utils/retry.js';
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  'Accept': 'text/html,application/xhtml+xml'
+};
+
+/**
+ * Direct HTTP fetcher
+ * GETs the page itself, without a proxy or JS rendering (render and waitFor are ignored), so it suits sites
+ * that serve prices in the initial HTML. Fails fast by default so a fetch chain can escalate to Decodo
+ */
+export class DirectFetcher {
+  /**
+   * @param {Object} options - Fetcher options
+   * @param {Object} options.headers - Headers sent with every request (request settings' headers win)
+   * @param {number} options.maxRetries - Attempts per fetch (default: 1)
+   */
+  constructor(options = {}) {
+    this.headers = options.headers || {};
+    this.maxRetries = options.maxRetries ?? 1;
+  }
+
+  async fetch(url, settings = {}, context = {}) {
+    let response;
+
+    try {
+      response = await axios({
+        url,
+        method: 'GET',
+        headers: { ...DEFAULT_HEADERS, ...this.headers, ...settings.headers },
+        timeout: context.timeout,
+        signal: context.signal,
+        responseType: 'text',
+        transformResponse: [data => data]
+      });
+    } catch (error) {
+      const status = error.response?.status;
+
+      // The status comes from the site itself, so 401/403 mean it refused the request, not a bad API key
+      if (status === 401 || status === 403) {
+        throw new BlockedError(`Request refused by site (${status})`, { status, cause: error });
+      }
+
+      throw classifyFetchError(error, { retryAfter: parseRetryAfter(error.response?.headers?.['retry-after']) });
+    }
+
+    if (typeof response.data !== 'string') {
+      throw new UpstreamError('Unexpected response body');
+    }
+
+    return response.data;
+  }
+}
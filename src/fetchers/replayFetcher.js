@@ -0,0 +1,94 @@
+import { readFile, readdir, writeFile, mkdir } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { UpstreamError } from '../utils/errors.js';
+import { normalizeUrl } from '../utils/productUrl.js';
+import { detectBotChallenge } from '../utils/botChallenge.js';
+
+/**
+ * Replay fetcher
+ * Serves recorded pages from a directory of JSON files ({ url, html }, the format of `fetch --save json`),
+ * matched on the normalized URL, so full scrapes run offline. With recordFrom, misses are fetched from
+ * that fetcher and recorded
+ */
+export class ReplayFetcher {
+  /**
+   * @param {string} dir - Directory holding the recordings
+   * @param {Object} options - Fetcher options
+   * @param {Object} options.recordFrom - Fetcher used for URLs without a recording; its pages are saved
+   */
+  constructor(dir, options = {}) {
+    if (!dir) {
+      throw new Error('Recording directory is required');
+    }
+
+    this.dir = dir;
+    this.recordFrom = options.recordFrom || null;
+    this.maxRetries = 1;
+    this.recordings = null;
+  }
+
+  async fetch(url, settings = {}, context = {}) {
+    const recording = (await this.load()).get(normalizeUrl(url));
+    if (recording) return recording.html;
+
+    if (!this.recordFrom) {
+      throw new UpstreamError(`No recorded response for ${url}`, { status: 404 });
+    }
+
+    const html = await this.recordFrom.fetch(url, settings, context);
+
+    // A challenge page would be replayed forever, so it is passed on but not recorded
+    if (!detectBotChallenge(html)) {
+      await this.record(url, html);
+    }
+
+    return html;
+  }
+
+  /**
+   * Save a page as a recording
+   * @param {string} url - Page URL
+   * @param {string} html - Page HTML
+   */
+  async record(url, html) {
+    const key = normalizeUrl(url);
+    const recording = { url, fetchedAt: new Date().toISOString(), html };
+    const name = createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+    await mkdir(this.dir, { recursive: true });
+    await writeFile(join(this.dir, `${name}.json`), `${JSON.stringify(recording, null, 2)}\n`);
+    (await this.load()).set(key, recording);
+  }
+
+  /**
+   * Index the recordings by normalized URL once, skipping files that are not recordings
+   */
+  async load() {
+    if (this.recordings) return this.recordings;
+
+    let files;
+    try {
+      files = (await readdir(this.dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      files = [];
+    }
+
+    const recordings = new Map();
+
+    for (const file of files) {
+      try {
+        const recording = JSON.parse(await readFile(join(this.dir, file), 'utf8'));
+        if (typeof recording.url === 'string' && typeof recording.html === 'string') {
+          recordings.set(normalizeUrl(recording.url), recording);
+        }
+      } catch (e) {
+        // Not a recording
+      }
+    }
+
+    this.recordings = this.recordings || recordings;
+    return this.recordings;
+  }
+}
@@ -0,0 +1,79 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * JSON-file price history store
+ * Keeps all history in one file: { "<key>": [record, ...] }
+ * Writes are serialized and go through a temp file so a crash never leaves partial JSON
+ */
+export class JsonFileHistoryStore {
+  /**
+   * @param {string} path - Path to the history JSON file
+   * @param {Object} options - Store options
+   * @param {number} options.maxRecords - Records kept per key (default: 100)
+   */
+  constructor(path, options = {}) {
+    if (!path) {
+      throw new Error('History file path is required');
+    }
+
+    this.path = path;
+    this.maxRecords = options.maxRecords || 100;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async getLatest(key) {
+    const records = (await this.load())[key];
+    return records ? records[records.length - 1] : null;
+  }
+
+  async getHistory(key) {
+    return [...((await this.load())[key] || [])];
+  }
+
+  async append(key, record) {
+    const data = await this.load();
+    data[key] = [...(data[key] || []), record].slice(-this.maxRecords);
+
+    // A failed save must not fail every later append; the next save writes its records too
+    const write = this.writeQueue.catch(() => {}).then(() => this.save(data));
+    this.writeQueue = write;
+    return write;
+  }
+
+  /**
+   * Load history file once; concurrent callers share the same data object
+   */
+  load() {
+    this.loading ??= this.readData().catch(error => {
+      this.loading = null;
+      throw error;
+    });
+
+    return this.loading;
+  }
+
+  /**
+   * Read history file, starting empty if it does not exist
+   */
+  async readData() {
+    try {
+      return JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return {};
+    }
+  }
+
+  /**
+   * Write history file atomically
+   * @param {Object} data - History data
+   */
+  async save(data) {
+    const tempPath = `${this.path}.tmp`;
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(tempPath, JSON.stringify(data));
+    await rename(tempPath, this.path);
+  }
+}
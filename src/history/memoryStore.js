@@ -0,0 +1,33 @@
+/**
+ * In-memory price history store
+ *
+ * History stores implement:
+ *   async getLatest(key) -> record | null
+ *   async getHistory(key) -> record[] (oldest first)
+ *   async append(key, record)
+ */
+export class MemoryHistoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxRecords - Records kept per key (default: 100)
+   */
+  constructor(options = {}) {
+    this.maxRecords = options.maxRecords || 100;
+    this.records = new Map();
+  }
+
+  async getLatest(key) {
+    const records = this.records.get(key);
+    return records ? records[records.length - 1] : null;
+  }
+
+  async getHistory(key) {
+    return [...(this.records.get(key) || [])];
+  }
+
+  async append(key, record) {
+    const records = this.records.get(key) || [];
+    records.push(record);
+    this.records.set(key, records.slice(-this.maxRecords));
+  }
+}
@@ -0,0 +1,56 @@
+import { isReasonablePriceChange } from '../utils/validator.js';
+
+/**
+ * Price history tracker
+ * Records successful results and compares each new price against the last known one
+ */
+export class PriceHistory {
+  /**
+   * @param {Object} store - History store implementing getLatest(key) and append(key, record)
+   * @param {Object} options - Tracker options
+   * @param {number} options.thresholdPercent - Change above this is suspicious (default: 50)
+   */
+  constructor(store, options = {}) {
+    if (!store || typeof store.getLatest !== 'function' || typeof store.append !== 'function') {
+      throw new Error('History store must implement getLatest(key) and append(key, record)');
+    }
+
+    this.store = store;
+    this.thresholdPercent = options.thresholdPercent || 50;
+  }
+
+  /**
+   * Compare result with the last known price and record it
+   * @param {string} key - History key (product URL)
+   * @param {Object} result - Successful getPrice result
+   * @returns {Promise<Object>} - { previousPrice, changePercent, suspiciousChange }
+   */
+  async track(key, result) {
+    const previous = await this.store.getLatest(key);
+
+    await this.store.append(key, {
+      price: result.price,
+      originalPrice: result.originalPrice,
+      currency: result.currency,
+      isOnSale: result.isOnSale,
+      scrapedAt: result.scrapedAt
+    });
+
+    if (!previous) {
+      return { previousPrice: null, changePercent: null, suspiciousChange: false };
+    }
+
+    // A currency switch makes prices incomparable, which is itself suspicious
+    if (previous.currency !== result.currency) {
+      return { previousPrice: previous.price, changePercent: null, suspiciousChange: true };
+    }
+
+    const changePercent = Math.round(((result.price - previous.price) / previous.price) * 10000) / 100;
+
+    return {
+      previousPrice: previous.price,
+      changePercent,
+      suspiciousChange: !isReasonablePriceChange(previous.price, result.price, this.thresholdPercent)
+    };
+  }
+}
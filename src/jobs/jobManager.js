@@ -0,0 +1,234 @@
+import { MemoryJobStore } from './memoryStore.js';
+import { ERROR_CODES } from '../utils/errors.js';
+
+/**
+ * Item states in a batch job
+ * pending: not fetched yet (or cancelled); done: price extracted; failed: fetch or extraction failed
+ */
+export const JOB_ITEM_STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+/**
+ * Batch job manager
+ * Runs large URL lists as resumable jobs: every item's state is checkpointed to a job store as it
+ * finishes, so a restarted run only fetches what is still pending (and, on request, what failed)
+ */
+export class JobManager {
+  /**
+   * @param {PriceScraper} scraper - Scraper used to fetch prices (its batch limits apply)
+   * @param {Object} options - Manager options
+   * @param {Object} options.store - Job store implementing createJob, getJob and updateItem (default: in-memory)
+   */
+  constructor(scraper, options = {}) {
+    if (!scraper || typeof scraper.streamPricesBatch !== 'function') {
+      throw new Error('JobManager requires a PriceScraper');
+    }
+
+    this.scraper = scraper;
+    this.store = options.store || new MemoryJobStore();
+  }
+
+  /**
+   * Create a job from a URL list
+   * @param {string[]} urls - Product URLs
+   * @param {Object} options - Job options
+   * @param {string} options.id - Job ID (default: job-<timestamp>)
+   * @param {Object} options.scrapeOptions - getPrice options used on every run; must be JSON-serializable
+   * @returns {Promise<Object>} - Job report (see getReport)
+   */
+  async create(urls, options = {}) {
+    if (!Array.isArray(urls)) {
+      throw new Error('URLs must be an array');
+    }
+
+    const job = {
+      id: options.id || `job-${Date.now()}`,
+      createdAt: new Date().toISOString(),
+      options: options.scrapeOptions || {},
+      items: urls.map(url => ({
+        url,
+        vendor: typeof url === 'string' && url ? this.scraper.detectVendor(url) : null,
+        status: JOB_ITEM_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        errorCode: null,
+        result: null,
+        updatedAt: null
+      }))
+    };
+
+    await this.store.createJob(job);
+    return buildReport(job);
+  }
+
+  /**
+   * Check whether a job exists
+   * @param {string} id - Job ID
+   * @returns {Promise<boolean>} - True if the store has the job
+   */
+  async exists(id) {
+    return (await this.store.getJob(id)) !== null;
+  }
+
+  /**
+   * Run a job's pending items, checkpointing each one as it finishes
+   * Items cancelled through the signal stay pending for the next run
+   * @param {string} id - Job ID
+   * @param {Object} options - Run options
+   * @param {boolean} options.retryFailed - Also re-run failed items
+   * @param {boolean} options.onlyFailed - Re-run failed items only
+   * @param {AbortSignal} options.signal - Stops the run
+   * @param {Function} options.onProgress - Batch progress callback (see BatchScheduler.stream)
+   * @returns {Promise<Object>} - Job report (see getReport)
+   */
+  async run(id, options = {}) {
+    const job = await this.getJob(id);
+
+    const indexes = job.items
+      .map((item, index) => index)
+      .filter(index => {
+        const { status } = job.items[index];
+        if (status === JOB_ITEM_STATUS.FAILED) return options.retryFailed || options.onlyFailed;
+        return status === JOB_ITEM_STATUS.PENDING && !options.onlyFailed;
+      });
+
+    const batch = this.scraper.streamPricesBatch(indexes.map(index => job.items[index].url), {
+      ...job.options,
+      order: 'completion',
+      signal: options.signal,
+      onProgress: options.onProgress
+    });
+
+    for await (const { index, result } of batch) {
+      if (result.errorCode === ERROR_CODES.CANCELLED) continue;
+
+      const itemIndex = indexes[index];
+      const item = job.items[itemIndex];
+
+      job.items[itemIndex] = {
+        ...item,
+        vendor: result.vendor || item.vendor,
+        status: result.error ? JOB_ITEM_STATUS.FAILED : JOB_ITEM_STATUS.DONE,
+        attempts: item.attempts + 1,
+        lastError: result.error || null,
+        errorCode: result.errorCode || null,
+        result,
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.store.updateItem(id, itemIndex, job.items[itemIndex]);
+    }
+
+    return buildReport(job);
+  }
+
+  /**
+   * Summarize a job: item counts and success rate, overall, per vendor and per error code
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} - { id, createdAt, total, done, failed, pending, successRate, vendors, errors }
+   */
+  async getReport(id) {
+    return buildReport(await this.getJob(id));
+  }
+
+  /**
+   * Get each item's latest result, in input order
+   * @param {string} id - Job ID
+   * @returns {Promise<Array<Object|null>>} - getPrice results, null for items not fetched yet
+   */
+  async getResults(id) {
+    return (await this.getJob(id)).items.map(item => item.result);
+  }
+
+  /**
+   * Load a job, failing if it does not exist
+   */
+  async getJob(id) {
+    const job = await this.store.getJob(id);
+
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    return job;
+  }
+}
+
+/**
+ * Format a job report as text
+ * @param {Object} report - Report from JobManager.getReport
+ * @returns {string} - Report text
+ */
+export function formatJobReport(report) {
+  const lines = [`job ${report.id}: ${report.done} done, ${report.failed} failed, ${report.pending} pending (${formatRate(report.successRate)} success)`];
+
+  for (const [vendor, stats] of Object.entries(report.vendors)) {
+    lines.push(`  ${vendor}: ${stats.done}/${stats.done + stats.failed} succeeded (${formatRate(stats.successRate)}), ${stats.pending} pending`);
+  }
+
+  for (const [code, stats] of Object.entries(report.errors)) {
+    lines.push(`  ${code}: ${stats.count} (${stats.percent}% of failures)`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Count items by status, overall and per vendor, and failures by error code
+ */
+function buildReport(job) {
+  const vendors = {};
+  const errors = {};
+  const totals = countItems(job.items);
+
+  for (const item of job.items) {
+    const vendor = item.vendor || 'unknown';
+    (vendors[vendor] = vendors[vendor] || []).push(item);
+
+    if (item.status === JOB_ITEM_STATUS.FAILED) {
+      const code = item.errorCode || ERROR_CODES.UNKNOWN;
+      const stats = errors[code] || (errors[code] = { count: 0, percent: 0, vendors: {} });
+      stats.count++;
+      stats.vendors[vendor] = (stats.vendors[vendor] || 0) + 1;
+    }
+  }
+
+  for (const stats of Object.values(errors)) {
+    stats.percent = Math.round((stats.count / totals.failed) * 1000) / 10;
+  }
+
+  return {
+    id: job.id,
+    createdAt: job.createdAt,
+    ...totals,
+    vendors: Object.fromEntries(Object.entries(vendors).map(([vendor, items]) => [vendor, countItems(items)])),
+    errors
+  };
+}
+
+/**
+ * Count items by status; success rate is done / (done + failed) in percent, null before any finished
+ */
+function countItems(items) {
+  const count = status => items.filter(item => item.status === status).length;
+  const done = count(JOB_ITEM_STATUS.DONE);
+  const failed = count(JOB_ITEM_STATUS.FAILED);
+
+  return {
+    total: items.length,
+    done,
+    failed,
+    pending: count(JOB_ITEM_STATUS.PENDING),
+    successRate: done + failed > 0 ? Math.round((done / (done + failed)) * 1000) / 10 : null
+  };
+}
+
+/**
+ * Format a success rate for text reports
+ */
+function formatRate(rate) {
+  return rate === null ? 'n/a' : `${rate}%`;
+}
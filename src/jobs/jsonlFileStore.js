@@ -0,0 +1,96 @@
+import { readFile, writeFile, appendFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * JSON Lines batch job store
+ * Keeps one <dir>/<jobId>.jsonl file per job: a header line with the job as created, then one line per item update.
+ * Appending keeps each checkpoint cheap on large jobs; loading replays the updates, ignoring a line cut off by a crash.
+ */
+export class JsonlFileJobStore {
+  /**
+   * @param {string} dir - Directory holding the job files
+   */
+  constructor(dir) {
+    if (!dir) {
+      throw new Error('Job directory is required');
+    }
+
+    this.dir = dir;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async createJob(job) {
+    await mkdir(this.dir, { recursive: true });
+
+    try {
+      await writeFile(
+        this.getPath(job.id),
+        `${JSON.stringify({ type: 'job', ...job })}\n`,
+        { flag: 'wx' }
+      );
+    } catch (error) {
+      if (error.code === 'EEXIST') throw new Error(`Job already exists: ${job.id}`);
+      throw error;
+    }
+  }
+
+  async getJob(id) {
+    const path = this.getPath(id);
+    let content;
+
+    try {
+      content = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    // Terminate a line cut off by a crash so the next update starts on its own line
+    if (content && !content.endsWith('\n')) {
+      await appendFile(path, '\n');
+    }
+
+    let job = null;
+
+    for (const line of content.split('\n')) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        // Blank or partially written line
+        continue;
+      }
+
+      if (record.type === 'job') {
+        const { type, ...header } = record;
+        job = header;
+      } else if (record.type === 'item' && job?.items[record.index]) {
+        const { type, index, ...item } = record;
+        job.items[index] = item;
+      }
+    }
+
+    return job;
+  }
+
+  async updateItem(id, index, item) {
+    // A failed checkpoint must not fail every later one
+    const write = this.writeQueue.catch(() => {}).then(() =>
+      appendFile(this.getPath(id), `${JSON.stringify({ type: 'item', index, ...item })}\n`)
+    );
+    this.writeQueue = write;
+
+    return write;
+  }
+
+  /**
+   * Job file path, rejecting IDs that are not safe file names
+   */
+  getPath(id) {
+    if (!/^[\w.-]+$/.test(id) || id.startsWith('.')) {
+      throw new Error(`Invalid job ID: ${id}`);
+    }
+
+    return join(this.dir, `${id}.jsonl`);
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * In-memory batch job store
+ *
+ * Job stores implement:
+ *   async createJob(job) -> stores { id, createdAt, options, items }, rejecting duplicate IDs
+ *   async getJob(id) -> job | null
+ *   async updateItem(id, index, item)
+ */
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async createJob(job) {
+    if (this.jobs.has(job.id)) {
+      throw new Error(`Job already exists: ${job.id}`);
+    }
+
+    this.jobs.set(job.id, structuredClone(job));
+  }
+
+  async getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? structuredClone(job) : null;
+  }
+
+  async updateItem(id, index, item) {
+    const job = this.jobs.get(id);
+
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    job.items[index] = structuredClone(item);
+  }
+}
@@ -0,0 +1,180 @@
+import { readdir, readFile, writeFile, mkdir } from 'fs/promises';
+import { join, basename } from 'path';
+
+/**
+ * Golden-fixture regression harness
+ *
+ * Fixtures live in <dir>/<vendor>/<name>.html, each paired with <name>.json:
+ *   { "url": "...", "options": {}, "expected": { "price": 34.99, "currency": "USD", "method": "extractFromTgtData" } }
+ * Expected keys are compared against the extraction result; "extractor" and "method"
+ * are compared against result.source.
+ */
+
+const SOURCE_FIELDS = ['extractor', 'method'];
+
+/**
+ * Fields written to expectations when capturing a fixture
+ */
+export const CAPTURED_FIELDS = ['price', 'originalPrice', 'salePrice', 'currency', 'isOnSale', 'method'];
+
+/**
+ * Load all fixtures from a fixture directory
+ * @param {string} dir - Fixture root directory
+ * @returns {Promise<Object[]>} - [{ vendor, name, htmlPath, url, options, expected }]
+ */
+export async function loadFixtures(dir) {
+  const fixtures = [];
+  const vendors = (await readdir(dir, { withFileTypes: true })).filter(entry => entry.isDirectory());
+
+  for (const { name: vendor } of vendors.sort((a, b) => a.name.localeCompare(b.name))) {
+    const files = (await readdir(join(dir, vendor))).sort();
+
+    for (const file of files.filter(f => f.endsWith('.html'))) {
+      const name = basename(file, '.html');
+      const htmlPath = join(dir, vendor, file);
+      let meta = null;
+
+      try {
+        meta = JSON.parse(await readFile(join(dir, vendor, `${name}.json`), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      fixtures.push({
+        vendor,
+        name,
+        htmlPath,
+        url: meta?.url || null,
+        options: meta?.options || {},
+        expected: meta?.expected || null
+      });
+    }
+  }
+
+  return fixtures;
+}
+
+/**
+ * Compare an extraction result against expectations
+ * @param {Object} actual - extractFromHtml result
+ * @param {Object} expected - Expected field values
+ * @returns {Object[]} - Differences: [{ field, expected, actual }]
+ */
+export function diffResult(actual, expected) {
+  return Object.entries(expected)
+    .map(([field, value]) => ({
+      field,
+      expected: value,
+      actual: SOURCE_FIELDS.includes(field) ? actual.source?.[field] : actual[field]
+    }))
+    .filter(({ expected: value, actual: found }) => value !== (found ?? null));
+}
+
+/**
+ * Run fixtures through the scraper's offline extraction pipeline
+ * Out-of-stock detection is skipped unless a fixture's options say otherwise,
+ * since the harness checks price extraction
+ * @param {PriceScraper} scraper - Scraper used for extraction
+ * @param {Object[]} fixtures - Fixtures from loadFixtures
+ * @returns {Promise<Object>} - { total, passed, failed, results, vendors }
+ */
+export async function runFixtures(scraper, fixtures) {
+  const results = [];
+
+  for (const fixture of fixtures) {
+    if (!fixture.expected) {
+      results.push({ ...fixture, passed: false, diffs: [], error: 'Missing expectations file' });
+      continue;
+    }
+
+    try {
+      const html = await readFile(fixture.htmlPath, 'utf8');
+      const actual = await scraper.extractFromHtml(html, {
+        allowOutOfStock: true,
+        ...fixture.options,
+        url: fixture.url,
+        vendor: fixture.vendor
+      });
+      const diffs = diffResult(actual, fixture.expected);
+
+      results.push({ ...fixture, passed: diffs.length === 0, diffs, actual });
+    } catch (error) {
+      results.push({ ...fixture, passed: false, diffs: [], error: error.message });
+    }
+  }
+
+  const vendors = {};
+  for (const result of results) {
+    const stats = vendors[result.vendor] || (vendors[result.vendor] = { total: 0, passed: 0, passRate: 0 });
+    stats.total++;
+    if (result.passed) stats.passed++;
+    stats.passRate = Math.round((stats.passed / stats.total) * 1000) / 10;
+  }
+
+  const passed = results.filter(result => result.passed).length;
+
+  return { total: results.length, passed, failed: results.length - passed, results, vendors };
+}
+
+/**
+ * Format a harness report as text
+ * @param {Object} report - Report from runFixtures
+ * @returns {string} - Human-readable report
+ */
+export function formatReport(report) {
+  const lines = [];
+
+  for (const result of report.results.filter(r => !r.passed)) {
+    lines.push(`FAIL ${result.vendor}/${result.name}${result.error ? `: ${result.error}` : ''}`);
+    for (const diff of result.diffs) {
+      lines.push(`  ${diff.field}: expected ${JSON.stringify(diff.expected)}, got ${JSON.stringify(diff.actual ?? null)}`);
+    }
+  }
+
+  if (lines.length) lines.push('');
+
+  for (const [vendor, stats] of Object.entries(report.vendors)) {
+    lines.push(`${vendor}: ${stats.passed}/${stats.total} passed (${stats.passRate}%)`);
+  }
+
+  lines.push(`total: ${report.passed}/${report.total} passed`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Capture a live page as a new fixture
+ * Expectations are seeded from the current extraction result and should be reviewed
+ * @param {PriceScraper} scraper - Scraper used for fetch and extraction
+ * @param {string} url - Product URL
+ * @param {Object} options - Capture options
+ * @param {string} options.dir - Fixture root directory
+ * @param {string} options.name - Fixture name (file name without extension)
+ * @param {string} options.vendor - Vendor directory (default: detected from url)
+ * @param {Object} options.scrapeOptions - Options passed to fetchHtml
+ * @returns {Promise<Object>} - { htmlPath, metaPath, expected }
+ */
+export async function captureFixture(scraper, url, options = {}) {
+  if (!options.dir || !options.name) {
+    throw new Error('Fixture dir and name are required');
+  }
+
+  const vendor = options.vendor || scraper.detectVendor(url);
+  const html = await scraper.fetchHtml(url, options.scrapeOptions);
+  const actual = await scraper.extractFromHtml(html, { url, vendor, allowOutOfStock: true });
+
+  const expected = {};
+  for (const field of CAPTURED_FIELDS) {
+    const value = field === 'method' ? actual.source?.method : actual[field];
+    if (value !== undefined) expected[field] = value;
+  }
+
+  const vendorDir = join(options.dir, vendor);
+  const htmlPath = join(vendorDir, `${options.name}.html`);
+  const metaPath = join(vendorDir, `${options.name}.json`);
+
+  await mkdir(vendorDir, { recursive: true });
+  await writeFile(htmlPath, html);
+  await writeFile(metaPath, `${JSON.stringify({ url, capturedAt: new Date().toISOString(), expected }, null, 2)}\n`);
+
+  return { htmlPath, metaPath, expected };
+}
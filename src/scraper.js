@@ -1,88 +1,297 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { AmazonExtractor } from './extractors/amazon.js';
 import { WalmartExtractor } from './extractors/walmart.js';
+import { TargetExtractor } from './extractors/target.js';
+import { BestBuyExtractor } from './extractors/bestbuy.js';
 import { GenericExtractor } from './extractors/generic.js';
-import { validatePriceData, isOutOfStock } from './utils/validator.js';
+import { ExtractorRegistry } from './extractors/registry.js';
+import { CurrencyConverter } from './conversion/converter.js';
+import { PriceHistory } from './history/priceHistory.js';
+import { validatePriceData } from './utils/validator.js';
+import { AVAILABILITY } from './utils/availability.js';
+import { scoreConfidence, pickConsensus, STRUCTURED_METHODS } from './utils/provenance.js';
+import { PRICE_VISIBILITY, HIDDEN_PRICE_ERRORS } from './utils/priceVisibility.js';
+import { emptyProduct } from './utils/product.js';
+import { normalizeUrl } from './utils/productUrl.js';
+import { AMAZON_DOMAINS } from './utils/marketplaces.js';
+import { retryWithBackoff, sleep } from './utils/retry.js';
+import { detectBotChallenge } from './utils/botChallenge.js';
+import {
+  ERROR_CODES,
+  ScraperError,
+  BlockedError,
+  UpstreamError,
+  ExtractionError,
+  classifyFetchError,
+  getErrorCode
+} from './utils/errors.js';
+import { BatchScheduler } from './batch/scheduler.js';
+import { FetchCache, CACHE_MODES } from './cache/fetchCache.js';
+import { DecodoFetcher } from './fetchers/decodoFetcher.js';
+import { DirectFetcher } from './fetchers/directFetcher.js';
+
+/**
+ * Price fields copied from a variant's price data or refetched result
+ */
+const VARIANT_PRICE_FIELDS = ['price', 'originalPrice', 'salePrice', 'currency', 'isOnSale'];
+
+/**
+ * Price fields copied from an offer's price data
+ */
+const OFFER_PRICE_FIELDS = [...VARIANT_PRICE_FIELDS, 'shippingCost', 'effectivePrice'];
+
+/**
+ * Decodo settings for the retries after a bot challenge page, in order: render with a longer wait,
+ * then without rendering (the last one repeats)
+ * No default changes geo: the marketplace geo decides the delivery country, so another geo could return
+ * prices, stock or currency for a different market. Add geo to a setting to retry from another location
+ */
+const DEFAULT_CHALLENGE_RETRY_SETTINGS = [
+  { render: true, waitFor: 5000 },
+  { render: false }
+];
 
 /**
  * Main price scraper class using Decodo API
  */
 export class PriceScraper {
+  /**
+   * @param {string} apiKey - Decodo API key; may be omitted when only extracting from saved HTML
+   * @param {Object} options - Scraper options
+   */
   constructor(apiKey, options = {}) {
-    if (!apiKey) {
-      throw new Error('Decodo API key is required');
-    }
-
-    this.apiKey = apiKey;
-    this.apiUrl = options.apiUrl || process.env.DECODO_API_URL || 'https://api.decodo.com/v1';
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000;
+    this.retryJitter = options.retryJitter ?? 0.2;
+    this.challengeRetrySettings = options.challengeRetrySettings || DEFAULT_CHALLENGE_RETRY_SETTINGS;
     this.timeout = options.timeout || 30000;
+    this.converter = options.rateProvider ? new CurrencyConverter(options.rateProvider) : null;
+    this.history = options.historyStore
+      ? new PriceHistory(options.historyStore, { thresholdPercent: options.priceChangeThreshold })
+      : null;
+    this.alerts = options.alerts || null;
+    this.cache = options.cacheStore
+      ? new FetchCache(options.cacheStore, { ttl: options.cacheTtl, vendorTtls: options.vendorCacheTtls })
+      : null;
+    this.scheduler = options.scheduler || new BatchScheduler(options.batch);
+
+    // Fetch backends: Decodo and direct HTTP built in, more by name through options.fetchers
+    this.decodo = new DecodoFetcher({ apiKey, apiUrl: options.apiUrl });
+    this.fetchers = new Map();
+    this.registerFetcher('decodo', this.decodo);
+    this.registerFetcher('direct', new DirectFetcher());
+    for (const [name, fetcher] of Object.entries(options.fetchers || {})) {
+      this.registerFetcher(name, fetcher);
+    }
+    this.fetchChain = this.validateFetchChain(options.fetchChain || 'decodo');
+    this.vendorFetchChains = {};
+    for (const [vendor, chain] of Object.entries(options.vendorFetchChains || {})) {
+      this.vendorFetchChains[vendor] = this.validateFetchChain(chain);
+    }
 
-    // Initialize extractors
-    this.amazonExtractor = new AmazonExtractor();
-    this.walmartExtractor = new WalmartExtractor();
-    this.genericExtractor = new GenericExtractor();
+    // Initialize extractor registry with built-in vendors
+    this.registry = new ExtractorRegistry({ defaultVendor: 'generic' });
+    this.registerExtractor('amazon', {
+      hostPatterns: AMAZON_DOMAINS,
+      extractor: new AmazonExtractor()
+    });
+    this.registerExtractor('walmart', {
+      hostPatterns: ['walmart.com', 'walmart.ca', 'walmart.com.mx'],
+      extractor: new WalmartExtractor()
+    });
+    this.registerExtractor('target', {
+      hostPatterns: ['target.com'],
+      extractor: new TargetExtractor(),
+      fallbacks: ['generic']
+    });
+    this.registerExtractor('bestbuy', {
+      hostPatterns: ['bestbuy.com'],
+      extractor: new BestBuyExtractor(),
+      fallbacks: ['generic']
+    });
+    this.registerExtractor('generic', {
+      extractor: new GenericExtractor(),
+      fallbacks: ['amazon', 'walmart']
+    });
+  }
+
+  /**
+   * Register a vendor extractor
+   * @param {string} name - Vendor name
+   * @param {Object} config - { hostPatterns, extractor, priority, fallbacks }
+   * @returns {PriceScraper} - This scraper, for chaining
+   */
+  registerExtractor(name, config) {
+    this.registry.register(name, config);
+    return this;
   }
 
   /**
    * Get price from product URL
+   * Walks the vendor's fetch chain: when a fetcher fails, or returns a page without a price (e.g. an
+   * unrendered direct fetch), the next fetcher is tried
    * @param {string} url - Product URL
    * @param {Object} options - Scraping options
-   * @returns {Promise<Object>} - Price data
+   * @param {string} options.cache - 'prefer' (default), 'bypass' or 'only' (see fetchPage)
+   * @param {string[]} options.fetchChain - Fetcher names overriding the vendor's chain
+   * @returns {Promise<Object>} - Price data, with the fetcher that served the page, fromCache and cacheAge (ms)
    */
   async getPrice(url, options = {}) {
+    return this.trackResult(await this.scrapePrice(url, options));
+  }
+
+  /**
+   * Fetch, extract and convert a price without recording it in history or alerts (see getPrice)
+   * @param {string} url - Product URL
+   * @param {Object} options - Scraping options
+   * @returns {Promise<Object>} - Price data
+   */
+  async scrapePrice(url, options = {}) {
     if (!url || typeof url !== 'string') {
-      throw new Error('Valid URL is required');
+      throw new ScraperError('Valid URL is required', { code: ERROR_CODES.INVALID_URL });
     }
 
-    const vendor = this.detectVendor(url);
-    const html = await this.fetchHtml(url, options);
-    
-    if (!html) {
-      throw new Error('Failed to fetch HTML content');
+    if (options.convertTo && !this.converter) {
+      throw new Error('convertTo requires a rateProvider');
     }
 
-    // Check if out of stock
-    if (isOutOfStock(html) && !options.allowOutOfStock) {
+    const vendor = options.vendor || this.detectVendor(url);
+    const chain = this.getFetchChain(url, options);
+    let result = null;
+
+    for (const [index, fetcher] of chain.entries()) {
+      const last = index === chain.length - 1;
+      let page;
+
+      try {
+        page = await this.fetchPage(url, chain.length > 1 ? { ...options, fetchChain: [fetcher] } : options);
+      } catch (error) {
+        if (last || error.code === ERROR_CODES.CANCELLED || options.signal?.aborted) throw error;
+        continue;
+      }
+
+      result = { ...this.buildResult(page.html, url, vendor, options), fetcher, fromCache: page.fromCache, cacheAge: page.cacheAge };
+      if (last || result.errorCode !== ERROR_CODES.NOT_EXTRACTED) break;
+    }
+
+    if (result.available && options.convertTo) {
+      await this.applyConversion(result, options.convertTo);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run the full extraction pipeline on HTML that was already fetched
+   * (stock check, vendor extractor with fallbacks, validation, conversion)
+   * Saved or replayed pages may be old, so history and alerts only run with options.track
+   * @param {string} html - Page HTML
+   * @param {Object} options - Scraping options
+   * @param {string} options.url - Original page URL, used for vendor detection, locale and currency
+   * @param {string} options.vendor - Vendor override (default: detected from url)
+   * @param {boolean} options.track - Record the price in history and run alert rules (default: false)
+   * @returns {Promise<Object>} - Price data
+   */
+  async extractFromHtml(html, options = {}) {
+    if (!html || typeof html !== 'string') {
+      throw new Error('HTML content is required');
+    }
+
+    if (options.convertTo && !this.converter) {
+      throw new Error('convertTo requires a rateProvider');
+    }
+
+    const url = options.url || null;
+    const vendor = options.vendor || (url ? this.detectVendor(url) : this.registry.defaultVendor);
+
+    return this.completeResult(this.buildResult(html, url, vendor, options), options);
+  }
+
+  /**
+   * Apply currency conversion, and price history and alerts with options.track, to a built result
+   * @param {Object} result - Result from buildResult
+   * @param {Object} options - Scraping options
+   * @returns {Promise<Object>} - The result
+   */
+  async completeResult(result, options = {}) {
+    if (result.available && options.convertTo) {
+      await this.applyConversion(result, options.convertTo);
+    }
+
+    return options.track ? this.trackResult(result) : result;
+  }
+
+  /**
+   * Record a result in price history and run alert rules on it
+   * @param {Object} result - Price result
+   * @returns {Promise<Object>} - The result, with previousPrice, changePercent, suspiciousChange and alerts
+   */
+  async trackResult(result) {
+    // History and alerts are keyed by URL, so pages without one are not tracked
+    if (result.available && this.history && result.url) {
+      await this.applyHistory(result);
+    }
+
+    if (this.alerts && result.url) {
+      await this.applyAlerts(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run stock check, extraction and validation on fetched HTML
+   * @param {string} html - Page HTML
+   * @param {string} url - Product URL
+   * @param {string} vendor - Vendor name
+   * @param {Object} options - Scraping options
+   * @returns {Object} - Price result
+   */
+  buildResult(html, url, vendor, options = {}) {
+    const availability = this.detectAvailability(html, url, vendor);
+    const stock = { availability: availability?.status ?? null, stockQuantity: availability?.quantity ?? null };
+
+    if (stock.availability === AVAILABILITY.OUT_OF_STOCK && !options.allowOutOfStock) {
       return {
-        url,
-        vendor,
-        error: 'Product appears to be out of stock',
-        available: false
+        ...errorResult(url, vendor, new ExtractionError(ERROR_CODES.OUT_OF_STOCK, 'Product appears to be out of stock')),
+        ...stock
       };
     }
 
-    // Extract price using vendor-specific extractor
+    const priceVisibility = this.detectPriceVisibility(html, url, vendor);
+    const priceHidden = priceVisibility !== PRICE_VISIBILITY.PUBLIC;
+
+    // Extract price using the vendor's extractor chain
     let priceData = null;
-    
-    try {
-      switch (vendor) {
-        case 'amazon':
-          priceData = this.amazonExtractor.extract(html);
-          break;
-        case 'walmart':
-          priceData = this.walmartExtractor.extract(html);
-          break;
-        default:
-          priceData = this.genericExtractor.extract(html);
-          // Try vendor-specific extractors as fallback
-          if (!priceData) {
-            priceData = this.amazonExtractor.extract(html) || 
-                       this.walmartExtractor.extract(html);
-          }
+    let dissenting = [];
+
+    for (const { name, extractor } of this.registry.getExtractorChain(vendor)) {
+      const candidates = this.collectCandidates(name, extractor, html, { url, vendor }, priceHidden);
+
+      if (candidates.length > 0) {
+        // First match wins unless consensus mode weighs every method's price
+        const consensus = options.consensus ? pickConsensus(candidates) : { chosen: candidates[0], dissenting: [] };
+        const { chosen } = consensus;
+
+        dissenting = consensus.dissenting;
+        priceData = {
+          ...chosen,
+          confidence: scoreConfidence(chosen, candidates),
+          source: { extractor: name, method: null, selectorOrPattern: null, ...chosen.source }
+        };
+        break;
       }
-    } catch (error) {
-      console.error(`Error extracting price for ${vendor}:`, error);
     }
 
     if (!priceData) {
+      const error = priceHidden
+        ? new ExtractionError(ERROR_CODES.PRICE_HIDDEN, HIDDEN_PRICE_ERRORS[priceVisibility])
+        : new ExtractionError(ERROR_CODES.NOT_EXTRACTED, 'Could not extract price from page');
+
       return {
-        url,
-        vendor,
-        error: 'Could not extract price from page',
-        available: false
+        ...errorResult(url, vendor, error),
+        priceVisibility,
+        ...stock
       };
     }
 
@@ -91,143 +300,719 @@ export class PriceScraper {
     
     if (!validation.isValid) {
       return {
-        url,
-        vendor,
-        error: `Price validation failed: ${validation.errors.join(', ')}`,
-        available: false,
+        ...errorResult(url, vendor, new ExtractionError(ERROR_CODES.INVALID_PRICE, `Price validation failed: ${validation.errors.join(', ')}`)),
+        rawPrice: priceData
+      };
+    }
+
+    if (options.minConfidence !== undefined && priceData.confidence < options.minConfidence) {
+      const error = new ExtractionError(
+        ERROR_CODES.LOW_CONFIDENCE,
+        `Extraction confidence ${priceData.confidence} below minimum ${options.minConfidence}`
+      );
+
+      return {
+        ...errorResult(url, vendor, error),
         rawPrice: priceData
       };
     }
 
+    const warnings = [
+      ...validation.errors,
+      ...(priceHidden ? [`Price is hidden on the page (${priceVisibility}); reported price comes from ${priceData.source.method}`] : []),
+      ...dissenting.map(candidate =>
+        `Extraction methods disagree: ${candidate.source?.method} found ${candidate.price}, ${priceData.source.method} found ${priceData.price}`)
+    ];
+
     return {
       url,
       vendor,
       ...priceData,
+      ...stock,
+      priceVisibility,
       available: true,
       scrapedAt: new Date().toISOString(),
-      warnings: validation.errors.length > 0 ? validation.errors : undefined
+      warnings: warnings.length > 0 ? warnings : undefined
     };
   }
 
   /**
-   * Detect vendor from URL
+   * Run one extractor and collect its candidate prices
+   * When the page hides the price, visible prices nearby belong to other products, so only embedded
+   * structured data is trusted, then the public list price
+   * @param {string} name - Extractor name
+   * @param {Object} extractor - Extractor instance
+   * @param {string} html - Page HTML
+   * @param {Object} context - Extraction context ({ url, vendor })
+   * @param {boolean} priceHidden - Whether the page hides the selling price
+   * @returns {Object[]} - Price data with source, most reliable first
+   */
+  collectCandidates(name, extractor, html, context, priceHidden) {
+    try {
+      // Extractors without extractCandidates report a single price, scored on its method alone
+      const candidates = typeof extractor.extractCandidates === 'function'
+        ? extractor.extractCandidates(html, context)
+        : [extractor.extract(html, context)].filter(Boolean);
+
+      if (!priceHidden) return candidates;
+
+      const structured = candidates.filter(candidate => STRUCTURED_METHODS.includes(candidate.source?.method));
+      if (structured.length > 0 || typeof extractor.extractListPrice !== 'function') return structured;
+
+      return [extractor.extractListPrice(html, context)].filter(Boolean);
+    } catch (error) {
+      console.error(`Error extracting price for ${context.vendor} with ${name} extractor:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Detect a hidden price (cart, login, quote) with the first extractor in the vendor's chain that reports one
+   * @param {string} html - Page HTML
    * @param {string} url - Product URL
-   * @returns {string} - Vendor name
+   * @param {string} vendor - Vendor name
+   * @returns {string} - PRICE_VISIBILITY value
    */
-  detectVendor(url) {
-    const lowerUrl = url.toLowerCase();
+  detectPriceVisibility(html, url, vendor) {
+    for (const { name, extractor } of this.registry.getExtractorChain(vendor)) {
+      if (typeof extractor.detectPriceVisibility !== 'function') continue;
 
-    if (lowerUrl.includes('amazon.com') || lowerUrl.includes('amazon.')) {
-      return 'amazon';
+      try {
+        const visibility = extractor.detectPriceVisibility(html, { url, vendor });
+        if (visibility && visibility !== PRICE_VISIBILITY.PUBLIC) return visibility;
+      } catch (error) {
+        console.error(`Error detecting price visibility for ${vendor} with ${name} extractor:`, error);
+      }
     }
-    if (lowerUrl.includes('walmart.com') || lowerUrl.includes('walmart.')) {
-      return 'walmart';
+
+    return PRICE_VISIBILITY.PUBLIC;
+  }
+
+  /**
+   * Detect availability with the first extractor in the vendor's chain that reports it
+   * @param {string} html - Page HTML
+   * @param {string} url - Product URL
+   * @param {string} vendor - Vendor name
+   * @returns {Object|null} - { status, quantity } or null if unknown
+   */
+  detectAvailability(html, url, vendor) {
+    for (const { name, extractor } of this.registry.getExtractorChain(vendor)) {
+      if (typeof extractor.extractAvailability !== 'function') continue;
+
+      try {
+        const availability = extractor.extractAvailability(html, { url, vendor });
+        if (availability) return availability;
+      } catch (error) {
+        console.error(`Error detecting availability for ${vendor} with ${name} extractor:`, error);
+      }
     }
-    if (lowerUrl.includes('target.com')) {
-      return 'target';
+
+    return null;
+  }
+
+  /**
+   * Add converted price fields to a successful result
+   * Conversion failures are reported as warnings, the native price is kept
+   * @param {Object} result - getPrice result
+   * @param {string} currency - Target ISO-4217 code
+   */
+  async applyConversion(result, currency) {
+    try {
+      Object.assign(result, await this.converter.convert(result.price, result.currency, currency));
+    } catch (error) {
+      result.warnings = [...(result.warnings || []), `Currency conversion failed: ${error.message}`];
     }
-    if (lowerUrl.includes('bestbuy.com')) {
-      return 'bestbuy';
+  }
+
+  /**
+   * Record a successful result and add price change fields
+   * @param {Object} result - getPrice result
+   */
+  async applyHistory(result) {
+    try {
+      const change = await this.history.track(result.url, result);
+      Object.assign(result, change);
+
+      if (change.suspiciousChange) {
+        const detail = change.changePercent === null
+          ? `currency changed since last price ${change.previousPrice}`
+          : `price changed ${change.changePercent}% from ${change.previousPrice}`;
+        result.warnings = [...(result.warnings || []), `Suspicious price change: ${detail}`];
+      }
+    } catch (error) {
+      result.warnings = [...(result.warnings || []), `Price history unavailable: ${error.message}`];
     }
+  }
+
+  /**
+   * Check a result against alert rules and list triggered alert types
+   * @param {Object} result - getPrice result
+   */
+  async applyAlerts(result) {
+    try {
+      const events = await this.alerts.process(result);
 
-    return 'generic';
+      if (events.length > 0) {
+        result.alerts = events.map(event => ({ type: event.type, ruleId: event.ruleId }));
+      }
+    } catch (error) {
+      console.error(`Error processing alerts for ${result.url}:`, error);
+    }
+  }
+
+  /**
+   * Detect vendor from URL
+   * @param {string} url - Product URL
+   * @returns {string} - Vendor name
+   */
+  detectVendor(url) {
+    return this.registry.detect(url);
   }
 
   /**
-   * Fetch HTML content using Decodo API
+   * Canonical product key, the same for every URL of one product
+   * (e.g. "amazon:US:B08N5WRWNW", "walmart:46470587"); vendors without product IDs in their URLs
+   * fall back to the normalized URL ("generic:https://shop.example.com/p/1")
+   * @param {string} url - Product URL
+   * @param {Object} options - { vendor } override
+   * @returns {string} - Product key
+   */
+  getProductKey(url, options = {}) {
+    const vendor = options.vendor || this.detectVendor(url);
+    const { extractor } = this.registry.getExtractorChain(vendor)[0] || {};
+    const key = typeof extractor?.getProductKey === 'function' ? extractor.getProductKey(url) : null;
+
+    return key || `${vendor}:${normalizeUrl(url)}`;
+  }
+
+  /**
+   * Fetch HTML content through the vendor's fetch chain (see getFetchChain)
+   * Each fetcher is tried in turn until one returns a page; only retryable errors are retried within a
+   * fetcher (see utils/errors.js), and after a bot challenge page the next attempt uses the scraper's
+   * challengeRetrySettings
    * @param {string} url - URL to fetch
    * @param {Object} options - Fetch options
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @param {string[]} options.fetchChain - Fetcher names overriding the vendor's chain
    * @returns {Promise<string>} - HTML content
+   * @throws {ScraperError} - The last fetcher's AuthError, QuotaError, TimeoutError, BlockedError or UpstreamError,
+   *   with the fetcher name, and the last response's status and retryAfter (ms) when there was a response
    */
   async fetchHtml(url, options = {}) {
-    const headers = {
-      'Authorization': `Bearer ${this.apiKey}`,
-      'Content-Type': 'application/json'
-    };
+    const chain = this.getFetchChain(url, options);
+    const fetchers = chain.map(name => this.getFetcher(name));
+    let lastError = null;
 
-    const requestOptions = {
-      url: `${this.apiUrl}/scrape`,
-      method: 'POST',
-      headers,
-      timeout: this.timeout,
-      data: {
-        url: url,
-        render: options.render !== false, // Enable JS rendering by default
-        waitFor: options.waitFor || 2000,
-        headers: options.headers || {
-          'User-Agent': options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        ...options.decodoOptions
+    for (const [index, fetcher] of fetchers.entries()) {
+      try {
+        return await this.fetchWith(chain[index], fetcher, url, options);
+      } catch (error) {
+        lastError = error;
+        if (error.code === ERROR_CODES.CANCELLED || options.signal?.aborted) break;
       }
-    };
+    }
 
-    let lastError = null;
+    throw lastError;
+  }
 
-    // Retry logic
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        const response = await axios(requestOptions);
-        
-        if (response.data && response.data.html) {
-          return response.data.html;
-        }
-        
-        if (response.data && response.data.content) {
-          return response.data.content;
-        }
+  /**
+   * Fetch a page with one fetcher, retrying by error class
+   * @param {string} name - Fetcher name
+   * @param {Object} fetcher - Fetcher instance
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @returns {Promise<string>} - HTML content
+   */
+  async fetchWith(name, fetcher, url, options) {
+    const settings = this.getRequestSettings(url, options);
+    const context = { signal: options.signal, timeout: this.timeout, vendor: options.vendor || this.detectVendor(url) };
+    let attempts = 0;
+    let challenges = 0;
 
-        // If response is HTML directly
-        if (typeof response.data === 'string') {
-          return response.data;
+    try {
+      return await retryWithBackoff(async attempt => {
+        attempts = attempt;
+
+        const html = await fetcher.fetch(url, this.getChallengeRetrySettings(settings, challenges), context);
+
+        if (typeof html !== 'string' || !html.trim()) {
+          throw new UpstreamError('Empty page content');
         }
 
-        throw new Error('Unexpected response format from Decodo API');
-      } catch (error) {
-        lastError = error;
-        
-        if (attempt < this.maxRetries) {
-          // Exponential backoff
-          const delay = this.retryDelay * Math.pow(2, attempt - 1);
-          await this.sleep(delay);
+        const challenge = detectBotChallenge(html);
+
+        if (challenge) {
+          challenges++;
+          throw new BlockedError(`Bot challenge page (${challenge})`, { challenge });
         }
+
+        return html;
+      }, {
+        maxRetries: fetcher.maxRetries ?? this.maxRetries,
+        retryDelay: this.retryDelay,
+        jitter: this.retryJitter,
+        sleep: ms => this.sleep(ms),
+        shouldRetry: error => classifyFetchError(error).retryable && !options.signal?.aborted
+      });
+    } catch (error) {
+      const failure = classifyFetchError(error);
+      failure.message = `Failed to fetch HTML after ${attempts} attempts: ${failure.message}`;
+      failure.fetcher = name;
+      throw failure;
+    }
+  }
+
+  /**
+   * Fetch page HTML through the page cache when the scraper has a cacheStore
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @param {string} options.cache - prefer: serve a fresh cached page, fetch on a miss (default);
+   *   bypass: always fetch and refresh the cache; only: never fetch, fail with CACHE_MISS on a miss
+   * @returns {Promise<Object>} - { html, fromCache, cacheAge } with cacheAge in ms (null when fetched)
+   */
+  async fetchPage(url, options = {}) {
+    const mode = options.cache || 'prefer';
+
+    if (!CACHE_MODES.includes(mode)) {
+      throw new Error(`Unknown cache mode: ${mode}`);
+    }
+
+    if (!this.cache) {
+      if (mode === 'only') {
+        throw new Error("cache: 'only' requires a cacheStore");
       }
+
+      return { html: await this.fetchHtml(url, options), fromCache: false, cacheAge: null };
+    }
+
+    const vendor = options.vendor || this.detectVendor(url);
+    const key = this.cache.getKey(url, { ...this.getRequestSettings(url, options), fetchChain: this.getFetchChain(url, options) });
+
+    return this.cache.fetch(key, { vendor, mode }, () => this.fetchHtml(url, options));
+  }
+
+  /**
+   * Register a fetch backend
+   * @param {string} name - Fetcher name, used in fetch chains
+   * @param {Object} fetcher - Fetcher implementing fetch(url, settings, context) (see DecodoFetcher)
+   * @returns {PriceScraper} - This scraper, for chaining
+   */
+  registerFetcher(name, fetcher) {
+    if (!fetcher || typeof fetcher.fetch !== 'function') {
+      throw new Error(`Fetcher ${name} must implement fetch(url, settings, context)`);
+    }
+
+    this.fetchers.set(name, fetcher);
+    return this;
+  }
+
+  /**
+   * Get a registered fetcher
+   * @param {string} name - Fetcher name
+   * @returns {Object} - Fetcher instance
+   */
+  getFetcher(name) {
+    const fetcher = this.fetchers.get(name);
+
+    if (!fetcher) {
+      throw new Error(`Unknown fetcher: ${name}`);
     }
 
-    throw new Error(`Failed to fetch HTML after ${this.maxRetries} attempts: ${lastError?.message || 'Unknown error'}`);
+    return fetcher;
+  }
+
+  /**
+   * Fetchers tried for a URL, in order: options.fetchChain, else the vendor's chain, else the default chain
+   * @param {string} url - Page URL
+   * @param {Object} options - { vendor, fetchChain }
+   * @returns {string[]} - Fetcher names
+   */
+  getFetchChain(url, options = {}) {
+    const chain = options.fetchChain || this.vendorFetchChains[options.vendor || this.detectVendor(url)] || this.fetchChain;
+    return this.validateFetchChain(chain);
+  }
+
+  /**
+   * Check that a fetch chain names at least one fetcher and only registered ones
+   * @param {string|string[]} chain - Fetcher name or names
+   * @returns {string[]} - Fetcher names
+   * @throws {Error} - For an empty chain or an unknown fetcher
+   */
+  validateFetchChain(chain) {
+    const names = [].concat(chain);
+
+    if (names.length === 0) {
+      throw new Error('Fetch chain must name at least one fetcher');
+    }
+
+    for (const name of names) {
+      if (!this.fetchers.has(name)) {
+        throw new Error(`Unknown fetcher in fetch chain: ${name}`);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Apply the challenge retry settings for the number of challenge pages seen so far
+   * @param {Object} settings - Request settings from getRequestSettings
+   * @param {number} challenges - Challenge pages seen for this URL
+   * @returns {Object} - Request settings
+   */
+  getChallengeRetrySettings(settings, challenges) {
+    const retrySettings = this.challengeRetrySettings;
+    if (challenges === 0 || retrySettings.length === 0) return settings;
+
+    return { ...settings, ...retrySettings[Math.min(challenges, retrySettings.length) - 1] };
+  }
+
+  /**
+   * Request settings passed to fetchers (render, waitFor, headers, vendor options such as geo)
+   * Vendor defaults (e.g. geo targeting for an Amazon marketplace) apply first, so decodoOptions can override them
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @returns {Object} - Request settings
+   */
+  getRequestSettings(url, options = {}) {
+    const { extractor } = this.registry.getExtractorChain(options.vendor || this.detectVendor(url))[0] || {};
+    const vendorOptions = typeof extractor?.getDecodoOptions === 'function' ? extractor.getDecodoOptions(url) : {};
+
+    return {
+      render: options.render !== false, // Enable JS rendering by default
+      waitFor: options.waitFor || 2000,
+      headers: options.headers || {
+        'User-Agent': options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      },
+      ...vendorOptions,
+      ...options.decodoOptions
+    };
+  }
+
+  /**
+   * Build the Decodo scrape request for a URL
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @returns {Object} - axios request config
+   */
+  buildDecodoRequest(url, options = {}) {
+    return this.decodo.buildRequest(url, this.getRequestSettings(url, options), { signal: options.signal, timeout: this.timeout });
   }
 
   /**
    * Sleep utility for retry delays
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return sleep(ms);
+  }
+
+  /**
+   * Get price and product metadata (title, brand, images, identifiers, categories, rating) from one fetch
+   * @param {string} url - Product URL
+   * @param {Object} options - Scraping options
+   * @returns {Promise<Object>} - Price result with a product field, fromCache and cacheAge
+   */
+  async getProduct(url, options = {}) {
+    if (!url || typeof url !== 'string') {
+      throw new ScraperError('Valid URL is required', { code: ERROR_CODES.INVALID_URL });
+    }
+
+    const { html, fromCache, cacheAge } = await this.fetchPage(url, options);
+
+    return { ...(await this.extractProductFromHtml(html, { ...options, url, track: true })), fromCache, cacheAge };
+  }
+
+  /**
+   * Run price extraction and product metadata extraction on HTML that was already fetched
+   * Metadata is returned even when no price could be extracted
+   * @param {string} html - Page HTML
+   * @param {Object} options - Scraping options, see extractFromHtml
+   * @returns {Promise<Object>} - Price result with a product field
+   */
+  async extractProductFromHtml(html, options = {}) {
+    const result = await this.extractFromHtml(html, options);
+    let product = null;
+
+    for (const { name, extractor } of this.registry.getExtractorChain(result.vendor)) {
+      if (typeof extractor.extractProduct !== 'function') continue;
+
+      try {
+        product = extractor.extractProduct(html, { url: result.url, vendor: result.vendor });
+      } catch (error) {
+        console.error(`Error extracting product for ${result.vendor} with ${name} extractor:`, error);
+      }
+
+      if (product) break;
+    }
+
+    return { ...result, product: product || emptyProduct() };
+  }
+
+  /**
+   * Get every size/color variant of a product with its price and availability
+   * @param {string} url - Product URL
+   * @param {Object} options - Scraping options
+   * @param {boolean} options.refetchMissing - Fetch each variant page whose price is not embedded
+   * @returns {Promise<Object>} - { url, vendor, variants, scrapedAt }
+   */
+  async getVariants(url, options = {}) {
+    if (!url || typeof url !== 'string') {
+      throw new ScraperError('Valid URL is required', { code: ERROR_CODES.INVALID_URL });
+    }
+
+    const { html } = await this.fetchPage(url, options);
+
+    const result = await this.extractVariantsFromHtml(html, { ...options, url });
+
+    if (options.refetchMissing) {
+      // One variant page at a time, so a large matrix does not burst the API
+      for (const variant of result.variants) {
+        if (variant.price === null && variant.url) {
+          await this.refetchVariant(variant, options);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse the variant matrix from HTML that was already fetched
+   * @param {string} html - Page HTML
+   * @param {Object} options - Scraping options
+   * @param {string} options.url - Original page URL, used for vendor detection and variant URLs
+   * @param {string} options.vendor - Vendor override (default: detected from url)
+   * @returns {Promise<Object>} - { url, vendor, variants, scrapedAt }
+   */
+  async extractVariantsFromHtml(html, options = {}) {
+    if (!html || typeof html !== 'string') {
+      throw new Error('HTML content is required');
+    }
+
+    const url = options.url || null;
+    const vendor = options.vendor || (url ? this.detectVendor(url) : this.registry.defaultVendor);
+    let variants = [];
+
+    for (const { name, extractor } of this.registry.getExtractorChain(vendor)) {
+      if (typeof extractor.extractVariants !== 'function') continue;
+
+      try {
+        variants = extractor.extractVariants(html, { url, vendor });
+      } catch (error) {
+        console.error(`Error extracting variants for ${vendor} with ${name} extractor:`, error);
+      }
+
+      if (variants.length > 0) break;
+    }
+
+    return {
+      url,
+      vendor,
+      variants: variants.map(variant => {
+        const { priceData, ...rest } = variant;
+        const prices = Object.fromEntries(VARIANT_PRICE_FIELDS.map(field => [field, priceData?.[field] ?? null]));
+
+        return { ...rest, ...prices, priceSource: priceData ? 'embedded' : null };
+      }),
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Fill in a variant's price by scraping its own page
+   * Failures are recorded on the variant rather than failing the whole listing
+   * @param {Object} variant - Variant from extractVariantsFromHtml, updated in place
+   * @param {Object} options - Scraping options
+   */
+  async refetchVariant(variant, options) {
+    try {
+      const result = await this.getPrice(variant.url, options);
+
+      if (!result.available) {
+        variant.errorCode = result.errorCode;
+        variant.error = result.error;
+        return;
+      }
+
+      for (const field of VARIANT_PRICE_FIELDS) {
+        variant[field] = result[field] ?? null;
+      }
+      variant.availability = result.availability || variant.availability;
+      variant.priceSource = 'refetch';
+    } catch (error) {
+      variant.errorCode = getErrorCode(error);
+      variant.error = error.message;
+    }
+  }
+
+  /**
+   * List every marketplace seller offer for a product
+   * Vendors with a separate offers page (Amazon's all-offers display) are fetched from there
+   * @param {string} url - Product URL
+   * @param {Object} options - Scraping options
+   * @returns {Promise<Object>} - { url, vendor, offersUrl, offers, scrapedAt }
+   */
+  async getOffers(url, options = {}) {
+    if (!url || typeof url !== 'string') {
+      throw new ScraperError('Valid URL is required', { code: ERROR_CODES.INVALID_URL });
+    }
+
+    const vendor = options.vendor || this.detectVendor(url);
+    const { extractor } = this.registry.getExtractorChain(vendor)[0] || {};
+    const offersUrl = (typeof extractor?.getOffersUrl === 'function' && extractor.getOffersUrl(url)) || url;
+    const { html } = await this.fetchPage(offersUrl, options);
+
+    return { ...(await this.extractOffersFromHtml(html, { ...options, url, vendor })), offersUrl };
+  }
+
+  /**
+   * Parse seller offers from HTML that was already fetched
+   * @param {string} html - Offers fragment or product page HTML
+   * @param {Object} options - Scraping options
+   * @param {string} options.url - Original product URL, used for vendor detection, locale and currency
+   * @param {string} options.vendor - Vendor override (default: detected from url)
+   * @returns {Promise<Object>} - { url, vendor, offers, scrapedAt }
+   */
+  async extractOffersFromHtml(html, options = {}) {
+    if (!html || typeof html !== 'string') {
+      throw new Error('HTML content is required');
+    }
+
+    const url = options.url || null;
+    const vendor = options.vendor || (url ? this.detectVendor(url) : this.registry.defaultVendor);
+    let offers = [];
+
+    for (const { name, extractor } of this.registry.getExtractorChain(vendor)) {
+      if (typeof extractor.extractOffers !== 'function') continue;
+
+      try {
+        offers = extractor.extractOffers(html, { url, vendor });
+      } catch (error) {
+        console.error(`Error extracting offers for ${vendor} with ${name} extractor:`, error);
+      }
+
+      if (offers.length > 0) break;
+    }
+
+    return {
+      url,
+      vendor,
+      offers: offers.map(offer => {
+        const { priceData, ...rest } = offer;
+        const prices = Object.fromEntries(OFFER_PRICE_FIELDS.map(field => [field, priceData?.[field] ?? null]));
+
+        return { ...rest, ...prices };
+      }),
+      scrapedAt: new Date().toISOString()
+    };
   }
 
   /**
    * Batch get prices for multiple URLs
+   * URLs of the same product (see getProductKey) are fetched once and the result is returned for each of them
    * @param {string[]} urls - Array of product URLs
-   * @param {Object} options - Scraping options
-   * @returns {Promise<Object[]>} - Array of price data
+   * @param {Object} options - Scraping and batch options (see streamPricesBatch)
+   * @returns {Promise<Object[]>} - Array of price data, in input order
    */
   async getPricesBatch(urls, options = {}) {
+    const results = new Array(Array.isArray(urls) ? urls.length : 0);
+
+    for await (const { index, result } of this.streamPricesBatch(urls, { ...options, order: 'completion' })) {
+      results[index] = result;
+    }
+
+    return results;
+  }
+
+  /**
+   * Get prices for multiple URLs, yielding each result as it becomes available
+   * Fetches go through the batch scheduler's concurrency and rate limits (see BatchScheduler)
+   * @param {string[]} urls - Array of product URLs
+   * @param {Object} options - Scraping and batch options
+   * @param {boolean} options.dedupe - Fetch each product once (default: true)
+   * @param {string} options.order - 'input' (default) or 'completion'
+   * @param {AbortSignal} options.signal - Cancels the batch; URLs not fetched yet fail with 'Batch cancelled'
+   * @param {Function} options.onProgress - Called after each fetch, see BatchScheduler.stream (counts are per product)
+   * @returns {AsyncGenerator<Object>} - { index, result } for every URL
+   */
+  async *streamPricesBatch(urls, options = {}) {
     if (!Array.isArray(urls)) {
       throw new Error('URLs must be an array');
     }
 
-    const results = await Promise.allSettled(
-      urls.map(url => this.getPrice(url, options))
-    );
+    const { order = 'input', onProgress, ...scrapeOptions } = options;
 
-    return results.map((result, index) => {
-      if (result.status === 'fulfilled') {
-        return result.value;
-      } else {
-        return {
-          url: urls[index],
-          error: result.reason?.message || 'Unknown error',
-          available: false
-        };
-      }
+    if (!['input', 'completion'].includes(order)) {
+      throw new Error(`Unknown batch order: ${order}`);
+    }
+
+    // Group URLs by product; each group is fetched once, from its first URL
+    const groups = new Map();
+    urls.forEach((url, index) => {
+      const valid = url && typeof url === 'string';
+      const key = valid && options.dedupe !== false ? this.getProductKey(url, options) : `#${index}`;
+
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
     });
+
+    // History and alerts run once for each distinct URL of the group, one after another, since rules and
+    // history are per URL; repeats of a URL (up to tracking parameters) share its tracked result
+    const indexGroups = [...groups.values()];
+    const tasks = indexGroups.map(group => ({
+      vendor: typeof urls[group[0]] === 'string' ? options.vendor || this.detectVendor(urls[group[0]]) : null,
+      run: async () => {
+        const result = await this.scrapePrice(urls[group[0]], scrapeOptions);
+        const tracked = new Map();
+
+        for (const index of group) {
+          const key = normalizeUrl(urls[index]);
+          if (!tracked.has(key)) {
+            tracked.set(key, await this.trackResult({ ...result, url: urls[index] }));
+          }
+        }
+
+        return group.map(index => ({ ...tracked.get(normalizeUrl(urls[index])), url: urls[index] }));
+      }
+    }));
+
+    const pending = new Map();
+    let next = 0;
+
+    for await (const outcome of this.scheduler.stream(tasks, { signal: options.signal, onProgress })) {
+      for (const [position, index] of indexGroups[outcome.index].entries()) {
+        const result = outcome.status === 'fulfilled'
+          ? outcome.value[position]
+          : errorResult(urls[index], tasks[outcome.index].vendor, outcome.reason);
+
+        if (order === 'completion') {
+          yield { index, result };
+        } else {
+          pending.set(index, result);
+        }
+      }
+
+      for (; pending.has(next); next++) {
+        yield { index: next, result: pending.get(next) };
+        pending.delete(next);
+      }
+    }
   }
 }
+
+/**
+ * Result for a URL whose price could not be scraped
+ * @param {string} url - Product URL
+ * @param {string} vendor - Vendor name
+ * @param {Error} error - Failure; ScraperErrors give the errorCode
+ * @returns {Object} - { url, vendor, errorCode, error, available: false }
+ */
+function errorResult(url, vendor, error) {
+  return {
+    url,
+    vendor,
+    errorCode: getErrorCode(error),
+    error: error?.message || 'Unknown error',
+    available: false
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Product availability detection utilities
+ */
+
+import { findJsonLdProduct } from './jsonLd.js';
+
+/**
+ * Availability states reported on results
+ */
+export const AVAILABILITY = {
+  IN_STOCK: 'InStock',
+  OUT_OF_STOCK: 'OutOfStock',
+  PRE_ORDER: 'PreOrder',
+  BACK_ORDER: 'BackOrder',
+  LIMITED_STOCK: 'LimitedStock'
+};
+
+/**
+ * schema.org ItemAvailability values mapped to availability states
+ */
+const SCHEMA_AVAILABILITY = {
+  instock: AVAILABILITY.IN_STOCK,
+  onlineonly: AVAILABILITY.IN_STOCK,
+  instoreonly: AVAILABILITY.IN_STOCK,
+  limitedavailability: AVAILABILITY.LIMITED_STOCK,
+  limitedstock: AVAILABILITY.LIMITED_STOCK,
+  lowstock: AVAILABILITY.LIMITED_STOCK,
+  outofstock: AVAILABILITY.OUT_OF_STOCK,
+  soldout: AVAILABILITY.OUT_OF_STOCK,
+  discontinued: AVAILABILITY.OUT_OF_STOCK,
+  preorder: AVAILABILITY.PRE_ORDER,
+  presale: AVAILABILITY.PRE_ORDER,
+  backorder: AVAILABILITY.BACK_ORDER
+};
+
+/**
+ * Availability text patterns, checked in order (back-order and limited stock before plain stock wording)
+ */
+const TEXT_PATTERNS = [
+  { pattern: /pre-?order|available for pre/i, status: AVAILABILITY.PRE_ORDER },
+  { pattern: /back-?order|order now and we'll deliver/i, status: AVAILABILITY.BACK_ORDER },
+  { pattern: /only (\d+) left|(\d+) left in stock|low stock/i, status: AVAILABILITY.LIMITED_STOCK },
+  { pattern: /out of stock|currently unavailable|sold out|no longer available/i, status: AVAILABILITY.OUT_OF_STOCK },
+  { pattern: /in stock|available to ship|ready to ship/i, status: AVAILABILITY.IN_STOCK }
+];
+
+/**
+ * Map a schema.org availability value ("https://schema.org/InStock", "InStock")
+ * or a state constant ("IN_STOCK", "OUT_OF_STOCK") to an availability state
+ * @param {string} value - Availability value
+ * @returns {string|null} - Availability state or null if unknown
+ */
+export function parseAvailabilityValue(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const key = value.split('/').pop().replace(/[^a-z]/gi, '').toLowerCase();
+  return SCHEMA_AVAILABILITY[key] || null;
+}
+
+/**
+ * Classify an availability message scoped to the product ("Only 3 left in stock", "Currently unavailable.")
+ * @param {string} text - Availability text
+ * @returns {Object|null} - { status, quantity } or null if the text says nothing about stock
+ */
+export function parseAvailabilityText(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  for (const { pattern, status } of TEXT_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const quantity = match[1] || match[2];
+      return { status, quantity: quantity ? parseInt(quantity, 10) : null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read availability from schema.org markup: JSON-LD Product offers, then itemprop microdata
+ * @param {CheerioAPI} $ - Loaded page
+ * @returns {Object|null} - { status, quantity } or null if the page has no availability markup
+ */
+export function extractSchemaAvailability($) {
+  const product = findJsonLdProduct($);
+  const offers = product?.offers && (Array.isArray(product.offers) ? product.offers[0] : product.offers);
+  const schemaStatus = parseAvailabilityValue(offers?.availability);
+
+  if (schemaStatus) {
+    return { status: schemaStatus, quantity: parseQuantity(offers.inventoryLevel) };
+  }
+
+  const itemprop = $('[itemprop="availability"]').first();
+  const status = parseAvailabilityValue(itemprop.attr('href') || itemprop.attr('content'));
+
+  return status ? { status, quantity: null } : null;
+}
+
+/**
+ * Read schema.org inventoryLevel (number or QuantitativeValue)
+ */
+function parseQuantity(inventoryLevel) {
+  const value = typeof inventoryLevel === 'object' ? inventoryLevel?.value : inventoryLevel;
+  const quantity = parseInt(value, 10);
+
+  return Number.isFinite(quantity) ? quantity : null;
+}
@@ -0,0 +1,28 @@
+/**
+ * Bot challenge (CAPTCHA) page detection utilities
+ */
+
+/**
+ * Markers of challenge pages served instead of the product
+ * Matched against the raw HTML, so they are kept specific enough not to hit product pages
+ * that merely load a CAPTCHA script for reviews or sign-in
+ */
+const CHALLENGE_PATTERNS = [
+  { challenge: 'amazon-robot-check', pattern: /<title>\s*Robot Check\s*<\/title>|\/errors\/validateCaptcha|Enter the characters you see below/i },
+  { challenge: 'walmart-verify-identity', pattern: /Verify your identity|<title>\s*Robot or human\?\s*<\/title>/i },
+  { challenge: 'perimeterx', pattern: /id=["']px-captcha["']/i },
+  { challenge: 'datadome', pattern: /captcha-delivery\.com/i },
+  { challenge: 'cloudflare', pattern: /<title>\s*(?:Just a moment\.\.\.|Attention Required! \| Cloudflare)\s*<\/title>/i }
+];
+
+/**
+ * Detect a bot challenge page
+ * @param {string} html - Page HTML
+ * @returns {string|null} - Challenge name (e.g. 'amazon-robot-check'), or null for a regular page
+ */
+export function detectBotChallenge(html) {
+  if (!html || typeof html !== 'string') return null;
+
+  const match = CHALLENGE_PATTERNS.find(({ pattern }) => pattern.test(html));
+  return match ? match.challenge : null;
+}
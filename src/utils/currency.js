@@ -0,0 +1,197 @@
+/**
+ * Currency resolution utilities
+ * Resolves ISO-4217 codes from price strings, page metadata and domain TLDs
+ */
+
+import { parseUrl } from './productUrl.js';
+
+/**
+ * Supported ISO-4217 currency codes
+ */
+export const CURRENCY_CODES = new Set([
+  'USD', 'CAD', 'MXN', 'BRL', 'ARS', 'CLP', 'COP', 'EUR', 'GBP', 'CHF',
+  'PLN', 'CZK', 'HUF', 'RON', 'SEK', 'NOK', 'DKK', 'ISK', 'TRY', 'RUB',
+  'UAH', 'ILS', 'AED', 'SAR', 'EGP', 'ZAR', 'INR', 'JPY', 'CNY', 'KRW',
+  'HKD', 'TWD', 'SGD', 'MYR', 'THB', 'VND', 'PHP', 'IDR', 'AUD', 'NZD'
+]);
+
+/**
+ * Dollar signs with a country prefix (longest prefixes first)
+ */
+const PREFIXED_DOLLARS = [
+  ['NT$', 'TWD'],
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['MX$', 'MXN'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['S$', 'SGD'],
+  ['R$', 'BRL']
+];
+
+/**
+ * Symbols that identify exactly one currency
+ */
+const UNAMBIGUOUS_SYMBOLS = [
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['₺', 'TRY'],
+  ['₽', 'RUB'],
+  ['₴', 'UAH'],
+  ['₪', 'ILS'],
+  ['฿', 'THB'],
+  ['₫', 'VND'],
+  ['₱', 'PHP'],
+  ['zł', 'PLN'],
+  ['Kč', 'CZK'],
+  ['Ft', 'HUF'],
+  ['lei', 'RON']
+];
+
+/**
+ * Symbols shared by several currencies; the first candidate is the default
+ */
+const AMBIGUOUS_SYMBOLS = [
+  [/kr\.?(?![a-z])/i, ['SEK', 'NOK', 'DKK', 'ISK']],
+  [/[¥￥]|円|元/, ['JPY', 'CNY']],
+  [/\$/, ['USD', 'CAD', 'AUD', 'MXN', 'NZD', 'SGD', 'HKD', 'ARS', 'CLP', 'COP']]
+];
+
+/**
+ * Local currency per domain suffix (longest suffixes are matched first)
+ */
+const DOMAIN_CURRENCIES = {
+  'com': 'USD',
+  'us': 'USD',
+  'ca': 'CAD',
+  'mx': 'MXN',
+  'com.mx': 'MXN',
+  'br': 'BRL',
+  'com.br': 'BRL',
+  'uk': 'GBP',
+  'co.uk': 'GBP',
+  'de': 'EUR',
+  'fr': 'EUR',
+  'it': 'EUR',
+  'es': 'EUR',
+  'nl': 'EUR',
+  'be': 'EUR',
+  'at': 'EUR',
+  'ie': 'EUR',
+  'fi': 'EUR',
+  'pt': 'EUR',
+  'ch': 'CHF',
+  'pl': 'PLN',
+  'cz': 'CZK',
+  'se': 'SEK',
+  'no': 'NOK',
+  'dk': 'DKK',
+  'tr': 'TRY',
+  'com.tr': 'TRY',
+  'ae': 'AED',
+  'sa': 'SAR',
+  'eg': 'EGP',
+  'in': 'INR',
+  'co.in': 'INR',
+  'jp': 'JPY',
+  'co.jp': 'JPY',
+  'cn': 'CNY',
+  'kr': 'KRW',
+  'sg': 'SGD',
+  'com.sg': 'SGD',
+  'au': 'AUD',
+  'com.au': 'AUD',
+  'nz': 'NZD',
+  'co.nz': 'NZD'
+};
+
+/**
+ * Normalize and validate an ISO-4217 code
+ * @param {string} code - Currency code (any case)
+ * @returns {string|null} - Uppercase code or null if not supported
+ */
+export function normalizeCurrencyCode(code) {
+  if (!code || typeof code !== 'string') return null;
+
+  const upper = code.trim().toUpperCase();
+  return CURRENCY_CODES.has(upper) ? upper : null;
+}
+
+/**
+ * Get the local currency for a URL or hostname from its domain suffix
+ * @param {string} urlOrHostname - Page URL or hostname
+ * @returns {string|null} - ISO-4217 code or null if unknown
+ */
+export function getDomainCurrency(urlOrHostname) {
+  if (!urlOrHostname || typeof urlOrHostname !== 'string') return null;
+
+  const hostname = parseUrl(urlOrHostname)?.hostname.toLowerCase() || urlOrHostname.toLowerCase();
+
+  const labels = hostname.split('.');
+  for (let i = Math.max(1, labels.length - 2); i < labels.length; i++) {
+    const suffix = labels.slice(i).join('.');
+    if (DOMAIN_CURRENCIES[suffix]) return DOMAIN_CURRENCIES[suffix];
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the currency of a price
+ * Order: page metadata (priceCurrency) > ISO code or unambiguous symbol in the text >
+ * ambiguous symbol disambiguated by marketplace or domain > marketplace or domain > default USD
+ * @param {string} priceString - Raw price text (e.g., "CA$12.99", "CHF 12.00", "12,00 zł")
+ * @param {Object} context - Resolution context
+ * @param {string} context.url - Page URL, used to disambiguate symbols by TLD
+ * @param {string} context.priceCurrency - Currency from page metadata (JSON-LD, meta tags)
+ * @param {string} context.defaultCurrency - Local currency of the store (e.g. the Amazon marketplace), preferred over the TLD
+ * @returns {{code: string, confidence: 'high'|'medium'|'low', source: string}} - Resolved currency
+ */
+export function resolveCurrency(priceString, context = {}) {
+  const metadataCode = normalizeCurrencyCode(context.priceCurrency);
+  if (metadataCode) {
+    return { code: metadataCode, confidence: 'high', source: 'metadata' };
+  }
+
+  const text = typeof priceString === 'string' ? priceString : '';
+  const marketplaceCode = normalizeCurrencyCode(context.defaultCurrency);
+  const localCode = marketplaceCode || getDomainCurrency(context.url);
+  const localSource = marketplaceCode ? 'marketplace' : 'domain';
+
+  const codeMatch = text.match(/\b([A-Z]{3})\b/g)?.map(normalizeCurrencyCode).find(Boolean);
+  if (codeMatch) {
+    return { code: codeMatch, confidence: 'high', source: 'code' };
+  }
+
+  for (const [prefix, code] of PREFIXED_DOLLARS) {
+    if (text.includes(prefix)) {
+      return { code, confidence: 'high', source: 'symbol' };
+    }
+  }
+
+  for (const [symbol, code] of UNAMBIGUOUS_SYMBOLS) {
+    if (text.includes(symbol)) {
+      return { code, confidence: 'high', source: 'symbol' };
+    }
+  }
+
+  for (const [pattern, candidates] of AMBIGUOUS_SYMBOLS) {
+    if (pattern.test(text)) {
+      if (localCode && candidates.includes(localCode)) {
+        return { code: localCode, confidence: 'medium', source: localSource };
+      }
+      return { code: candidates[0], confidence: 'low', source: 'default' };
+    }
+  }
+
+  if (localCode) {
+    return { code: localCode, confidence: 'medium', source: localSource };
+  }
+
+  return { code: 'USD', confidence: 'low', source: 'default' };
+}
@@ -0,0 +1,173 @@
+/**
+ * Scraper error hierarchy
+ * Every error carries a stable code (reported as errorCode on getPrice results) and whether fetchHtml
+ * should retry it: bad keys, bad requests and exhausted quota fail at once, timeouts, upstream
+ * failures and bot challenges are retried with backoff
+ */
+
+/**
+ * Error codes reported on results
+ */
+export const ERROR_CODES = {
+  AUTH_FAILED: 'AUTH_FAILED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  TIMEOUT: 'TIMEOUT',
+  BLOCKED: 'BLOCKED',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  INVALID_URL: 'INVALID_URL',
+  OUT_OF_STOCK: 'OUT_OF_STOCK',
+  PRICE_HIDDEN: 'PRICE_HIDDEN',
+  NOT_EXTRACTED: 'NOT_EXTRACTED',
+  INVALID_PRICE: 'INVALID_PRICE',
+  LOW_CONFIDENCE: 'LOW_CONFIDENCE',
+  CACHE_MISS: 'CACHE_MISS',
+  CANCELLED: 'CANCELLED',
+  UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Codes of errors where no page was obtained (as opposed to extracting from it)
+ */
+export const FETCH_ERROR_CODES = new Set([
+  ERROR_CODES.AUTH_FAILED,
+  ERROR_CODES.QUOTA_EXCEEDED,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.BLOCKED,
+  ERROR_CODES.UPSTREAM_ERROR,
+  ERROR_CODES.INVALID_REQUEST,
+  ERROR_CODES.CACHE_MISS
+]);
+
+/**
+ * Base class for scraper errors
+ */
+export class ScraperError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details
+   * @param {string} options.code - Error code (default: UNKNOWN)
+   * @param {boolean} options.retryable - Whether fetchHtml retries the error (default: false)
+   * @param {number} options.status - HTTP status of the Decodo response, if any
+   * @param {number} options.retryAfter - Delay requested by the response in ms, if any
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = new.target.name;
+    this.code = options.code || ERROR_CODES.UNKNOWN;
+    this.retryable = options.retryable ?? false;
+    this.status = options.status ?? null;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+/**
+ * Missing or rejected Decodo API key (401, 403); never retried
+ */
+export class AuthError extends ScraperError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.AUTH_FAILED, retryable: false });
+  }
+}
+
+/**
+ * Decodo rate limit or quota exhausted (429, 402)
+ * Not retried by fetchHtml: the batch scheduler pauses for Retry-After on a 429 instead
+ */
+export class QuotaError extends ScraperError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.QUOTA_EXCEEDED, retryable: false });
+  }
+}
+
+/**
+ * Request timed out (client timeout, 408, 504); retried
+ */
+export class TimeoutError extends ScraperError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.TIMEOUT, retryable: true });
+  }
+}
+
+/**
+ * Page is a bot challenge or CAPTCHA rather than the product; retried with different render/geo settings
+ */
+export class BlockedError extends ScraperError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details (see ScraperError), plus challenge: name of the detected challenge
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.BLOCKED, retryable: true });
+    this.challenge = options.challenge || null;
+  }
+}
+
+/**
+ * Decodo or network failure
+ * 5xx responses, network errors and empty pages are retried; other 4xx responses (e.g. an invalid URL) are not
+ */
+export class UpstreamError extends ScraperError {
+  constructor(message, options = {}) {
+    const clientError = options.status >= 400 && options.status < 500;
+
+    super(message, {
+      ...options,
+      code: clientError ? ERROR_CODES.INVALID_REQUEST : ERROR_CODES.UPSTREAM_ERROR,
+      retryable: !clientError
+    });
+  }
+}
+
+/**
+ * Page was fetched but no usable price came out of it (code: OUT_OF_STOCK, PRICE_HIDDEN, NOT_EXTRACTED,
+ * INVALID_PRICE or LOW_CONFIDENCE); never retried
+ */
+export class ExtractionError extends ScraperError {
+  constructor(code, message, options = {}) {
+    super(message, { ...options, code, retryable: false });
+  }
+}
+
+/**
+ * Classify a failed Decodo request (axios error)
+ * @param {Error} error - axios error, or an error thrown while reading the response
+ * @param {Object} options - Classification context
+ * @param {string} options.message - Message for the classified error (default: error.message)
+ * @param {number} options.retryAfter - Parsed Retry-After in ms
+ * @returns {ScraperError} - Typed error; ScraperErrors are returned as is
+ */
+export function classifyFetchError(error, options = {}) {
+  if (error instanceof ScraperError) return error;
+
+  const status = error?.response?.status ?? null;
+  const details = {
+    status,
+    retryAfter: options.retryAfter ?? null,
+    cause: error
+  };
+  const message = options.message || error?.message || 'Unknown error';
+
+  if (error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError') {
+    return new ScraperError(message, { ...details, code: ERROR_CODES.CANCELLED });
+  }
+
+  if (status === 401 || status === 403) return new AuthError(message, details);
+  if (status === 429 || status === 402) return new QuotaError(message, details);
+
+  if (status === 408 || status === 504 || ['ECONNABORTED', 'ETIMEDOUT'].includes(error?.code)) {
+    return new TimeoutError(message, details);
+  }
+
+  return new UpstreamError(message, details);
+}
+
+/**
+ * Error code for any thrown error
+ * @param {Error} error - Error
+ * @returns {string} - The error's code for ScraperErrors, UNKNOWN otherwise
+ */
+export function getErrorCode(error) {
+  return error instanceof ScraperError ? error.code : ERROR_CODES.UNKNOWN;
+}
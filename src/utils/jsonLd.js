@@ -0,0 +1,78 @@
+/**
+ * JSON-LD (schema.org) parsing utilities
+ */
+
+/**
+ * Parse every JSON-LD block on the page, skipping invalid ones
+ * @param {CheerioAPI} $ - Loaded page
+ * @returns {Object[]} - Parsed blocks
+ */
+export function parseJsonLd($) {
+  const blocks = [];
+
+  $('script[type="application/ld+json"]').each((i, script) => {
+    try {
+      const content = $(script).html();
+      if (content) blocks.push(JSON.parse(content));
+    } catch (e) {
+      // Skip invalid block
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Recursively find the first node of a schema.org type (arrays and @graph included)
+ * @param {*} data - Parsed JSON-LD
+ * @param {string} type - schema.org type (e.g. 'Product')
+ * @returns {Object|null} - Matching node or null
+ */
+export function findJsonLdNode(data, type) {
+  if (!data || typeof data !== 'object') return null;
+
+  const types = [].concat(data['@type'] || []);
+  if (types.includes(type)) return data;
+
+  for (const key in data) {
+    if (typeof data[key] === 'object') {
+      const node = findJsonLdNode(data[key], type);
+      if (node) return node;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the Product node on the page
+ * @param {CheerioAPI} $ - Loaded page
+ * @returns {Object|null} - Product node or null
+ */
+export function findJsonLdProduct($) {
+  for (const block of parseJsonLd($)) {
+    const product = findJsonLdNode(block, 'Product');
+    if (product) return product;
+  }
+
+  return null;
+}
+
+/**
+ * Read category names from the page's BreadcrumbList, in position order
+ * @param {CheerioAPI} $ - Loaded page
+ * @returns {string[]} - Category names, root first
+ */
+export function findJsonLdBreadcrumbs($) {
+  for (const block of parseJsonLd($)) {
+    const list = findJsonLdNode(block, 'BreadcrumbList');
+    if (!Array.isArray(list?.itemListElement)) continue;
+
+    return [...list.itemListElement]
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map(entry => entry.name || entry.item?.name)
+      .filter(Boolean);
+  }
+
+  return [];
+}
@@ -0,0 +1,49 @@
+/**
+ * Amazon marketplace utilities
+ * Maps each Amazon domain to its country, currency, number format locale and Decodo geo location
+ */
+
+import { parseUrl } from './productUrl.js';
+
+/**
+ * Amazon marketplaces by the domain after "amazon."
+ */
+export const AMAZON_MARKETPLACES = {
+  'com': { country: 'US', currency: 'USD', locale: 'en-US', geo: 'United States' },
+  'ca': { country: 'CA', currency: 'CAD', locale: 'en-CA', geo: 'Canada' },
+  'com.mx': { country: 'MX', currency: 'MXN', locale: 'es-MX', geo: 'Mexico' },
+  'com.br': { country: 'BR', currency: 'BRL', locale: 'pt-BR', geo: 'Brazil' },
+  'co.uk': { country: 'GB', currency: 'GBP', locale: 'en-GB', geo: 'United Kingdom' },
+  'de': { country: 'DE', currency: 'EUR', locale: 'de-DE', geo: 'Germany' },
+  'fr': { country: 'FR', currency: 'EUR', locale: 'fr-FR', geo: 'France' },
+  'it': { country: 'IT', currency: 'EUR', locale: 'it-IT', geo: 'Italy' },
+  'es': { country: 'ES', currency: 'EUR', locale: 'es-ES', geo: 'Spain' },
+  'nl': { country: 'NL', currency: 'EUR', locale: 'nl-NL', geo: 'Netherlands' },
+  'se': { country: 'SE', currency: 'SEK', locale: 'sv-SE', geo: 'Sweden' },
+  'pl': { country: 'PL', currency: 'PLN', locale: 'pl-PL', geo: 'Poland' },
+  'com.tr': { country: 'TR', currency: 'TRY', locale: 'tr-TR', geo: 'Turkey' },
+  'ae': { country: 'AE', currency: 'AED', locale: 'en-AE', geo: 'United Arab Emirates' },
+  'sa': { country: 'SA', currency: 'SAR', locale: 'en-SA', geo: 'Saudi Arabia' },
+  'eg': { country: 'EG', currency: 'EGP', locale: 'en-EG', geo: 'Egypt' },
+  'in': { country: 'IN', currency: 'INR', locale: 'en-IN', geo: 'India' },
+  'co.jp': { country: 'JP', currency: 'JPY', locale: 'ja-JP', geo: 'Japan' },
+  'sg': { country: 'SG', currency: 'SGD', locale: 'en-SG', geo: 'Singapore' },
+  'com.au': { country: 'AU', currency: 'AUD', locale: 'en-AU', geo: 'Australia' }
+};
+
+/**
+ * Amazon store domains ("amazon.com", "amazon.co.uk", ...)
+ */
+export const AMAZON_DOMAINS = Object.keys(AMAZON_MARKETPLACES).map(domain => `amazon.${domain}`);
+
+/**
+ * Get the Amazon marketplace for a product URL (smile.amazon.com is the US store)
+ * @param {string} url - Product URL
+ * @returns {Object|null} - { domain, country, currency, locale, geo } or null for unknown domains
+ */
+export function getAmazonMarketplace(url) {
+  const domain = parseUrl(url)?.hostname.toLowerCase().match(/(?:^|\.)amazon\.(.+)$/)?.[1];
+  const marketplace = domain && AMAZON_MARKETPLACES[domain];
+
+  return marketplace ? { domain: `amazon.${domain}`, ...marketplace } : null;
+}
@@ -0,0 +1,23 @@
+/**
+ * Marketplace offer utilities
+ */
+
+/**
+ * Offer conditions reported on offers
+ */
+export const CONDITIONS = ['new', 'used', 'refurbished', 'collectible'];
+
+/**
+ * Map a condition label ("Used - Like New", "Renewed", "Restored", "REFURBISHED") to a condition
+ * @param {string} text - Condition label from the page or state
+ * @returns {string} - One of CONDITIONS; unlabeled offers are new
+ */
+export function parseCondition(text) {
+  if (!text || typeof text !== 'string') return 'new';
+
+  if (/refurb|renewed|restored/i.test(text)) return 'refurbished';
+  if (/collectible/i.test(text)) return 'collectible';
+  if (/used|pre-?owned/i.test(text)) return 'used';
+
+  return 'new';
+}
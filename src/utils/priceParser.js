@@ -2,78 +2,312 @@
  * Price parsing and normalization utilities
  */
 
+import { resolveCurrency } from './currency.js';
+
+/**
+ * Number formatting conventions per locale
+ * group: grouping separators, decimal: decimal separator (null when prices have no fraction)
+ */
+const SPACE_GROUPS = [' ', '\u00a0', '\u202f', '\u2009'];
+
+export const LOCALE_FORMATS = {
+  'en-US': { decimal: '.', group: [','] },
+  'en-GB': { decimal: '.', group: [','] },
+  'en-CA': { decimal: '.', group: [','] },
+  'en-AU': { decimal: '.', group: [','] },
+  'en-IN': { decimal: '.', group: [','] },
+  'es-MX': { decimal: '.', group: [','] },
+  'de-DE': { decimal: ',', group: ['.'] },
+  'it-IT': { decimal: ',', group: ['.'] },
+  'es-ES': { decimal: ',', group: ['.'] },
+  'nl-NL': { decimal: ',', group: ['.'] },
+  'pt-BR': { decimal: ',', group: ['.'] },
+  'tr-TR': { decimal: ',', group: ['.'] },
+  'fr-FR': { decimal: ',', group: SPACE_GROUPS },
+  'fr-CA': { decimal: ',', group: SPACE_GROUPS },
+  'sv-SE': { decimal: ',', group: SPACE_GROUPS },
+  'pl-PL': { decimal: ',', group: SPACE_GROUPS },
+  'de-CH': { decimal: '.', group: ["'", '\u2019'] },
+  'ja-JP': { decimal: null, group: [','] }
+};
+
+/**
+ * Get number format for a locale, falling back to the language (e.g. 'de' -> 'de-DE')
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {Object|null} - { decimal, group } or null if unknown
+ */
+export function getLocaleFormat(locale) {
+  if (!locale || typeof locale !== 'string') return null;
+
+  if (LOCALE_FORMATS[locale]) return LOCALE_FORMATS[locale];
+
+  const language = locale.split('-')[0].toLowerCase();
+  const match = Object.keys(LOCALE_FORMATS).find(key => key.split('-')[0] === language);
+
+  return match ? LOCALE_FORMATS[match] : null;
+}
+
 /**
  * Parse price string to number
- * @param {string} priceString - Price string (e.g., "$29.99", "€25,50", "£15.00")
+ * Decimal and grouping separators are taken from options.locale when given,
+ * otherwise detected from the string itself
+ * @param {string|number} priceString - Price string (e.g., "$29.99", "€1.234,56", "1 234,56 €", "₹1,23,456.78")
+ * @param {Object} options - Parsing options
+ * @param {string} options.locale - Locale of the price string (e.g., 'de-DE')
  * @returns {number|null} - Parsed price or null if invalid
  */
-export function parsePrice(priceString) {
+export function parsePrice(priceString, options = {}) {
+  if (typeof priceString === 'number') {
+    return roundPrice(priceString);
+  }
+
   if (!priceString || typeof priceString !== 'string') {
     return null;
   }
 
-  // Remove currency symbols and common separators
-  let cleaned = priceString
-    .replace(/[\$€£¥₹]/, '')
-    .replace(/,/g, '')
-    .replace(/\s+/g, '')
-    .trim();
+  // Take the first number, allowing space/apostrophe grouping only before 3-digit groups
+  const match = priceString.match(/\d(?:[\d.,]|['\u2019 \u00a0\u202f\u2009](?=\d{3}(?!\d)))*/);
+  if (!match) {
+    return null;
+  }
+
+  const token = match[0].replace(/[.,]+$/, '');
+  const format = getLocaleFormat(options.locale);
+  const cleaned = format ? applyLocaleFormat(token, format) : detectFormat(token);
+
+  return roundPrice(parseFloat(cleaned));
+}
 
-  // Handle decimal separators (both . and ,)
-  cleaned = cleaned.replace(/[^\d.]/g, '');
+/**
+ * Convert number token to canonical form using a known locale format
+ */
+function applyLocaleFormat(token, format) {
+  let cleaned = token.replace(/['\u2019 \u00a0\u202f\u2009]/g, '');
 
-  const price = parseFloat(cleaned);
+  for (const group of format.group) {
+    if (SPACE_GROUPS.includes(group) || group === "'" || group === '\u2019') continue;
 
-  // Validate price
-  if (isNaN(price) || price <= 0) {
+    // A single group separator not followed by 3 digits is really a decimal point (e.g. "29.99" on a de-DE page)
+    const parts = cleaned.split(group);
+    if (parts.length === 2 && parts[1].length !== 3 && !(format.decimal && cleaned.includes(format.decimal))) {
+      return parts.join('.');
+    }
+
+    cleaned = parts.join('');
+  }
+
+  return format.decimal && format.decimal !== '.' ? cleaned.replace(format.decimal, '.') : cleaned;
+}
+
+/**
+ * Convert number token to canonical form by detecting its separators
+ */
+function detectFormat(token) {
+  const cleaned = token.replace(/['\u2019 \u00a0\u202f\u2009]/g, '');
+  const lastDot = cleaned.lastIndexOf('.');
+  const lastComma = cleaned.lastIndexOf(',');
+
+  // Both present: whichever comes last is the decimal separator
+  if (lastDot !== -1 && lastComma !== -1) {
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const group = decimal === '.' ? ',' : '.';
+    return cleaned.split(group).join('').replace(decimal, '.');
+  }
+
+  const separator = lastDot !== -1 ? '.' : lastComma !== -1 ? ',' : null;
+  if (!separator) return cleaned;
+
+  const parts = cleaned.split(separator);
+
+  // Repeated separator (1,234,567 or lakh 1,23,456) is grouping
+  if (parts.length > 2) return parts.join('');
+
+  // Single separator before exactly 3 digits is grouping (1,234 / 1.234), otherwise decimal (25,50)
+  const [whole, fraction] = parts;
+  if (fraction.length === 3 && whole !== '0') return whole + fraction;
+
+  return `${whole}.${fraction}`;
+}
+
+/**
+ * Round to 2 decimal places, rejecting non-positive values
+ */
+function roundPrice(price) {
+  if (isNaN(price) || !isFinite(price) || price <= 0) {
     return null;
   }
 
-  return Math.round(price * 100) / 100; // Round to 2 decimal places
+  return Math.round(price * 100) / 100;
 }
 
 /**
- * Extract currency symbol from price string
+ * Extract currency code from price string
  * @param {string} priceString - Price string
- * @returns {string} - Currency symbol or 'USD' as default
+ * @param {Object} context - Resolution context ({ url, priceCurrency }), see resolveCurrency
+ * @returns {string} - ISO-4217 code or 'USD' as default
  */
-export function extractCurrency(priceString) {
-  if (!priceString || typeof priceString !== 'string') {
-    return 'USD';
+export function extractCurrency(priceString, context = {}) {
+  return resolveCurrency(priceString, context).code;
+}
+
+/**
+ * Parse a unit price such as "$0.25/oz", "($0.25 / Ounce)" or "2.9 ¢/fl oz"
+ * @param {string} text - Unit price text
+ * @param {Object} options - Parsing options ({ locale })
+ * @returns {Object|null} - { unitPrice, unitOfMeasure } or null if not a unit price
+ */
+export function parseUnitPrice(text, options = {}) {
+  if (!text || typeof text !== 'string') return null;
+
+  const match = text.match(/([^/]*\d[^/]*?)\s*(?:\/|\bper\b)\s*([a-z][a-z. ]*)/i);
+  if (!match) return null;
+
+  const amount = parsePrice(match[1], options);
+  if (!amount) return null;
+
+  // Cent prices ("2.9 ¢/fl oz") are kept to a tenth of a cent
+  const unitPrice = /¢/.test(match[1]) ? Math.round(amount * 10) / 1000 : amount;
+
+  return { unitPrice, unitOfMeasure: match[2].trim().replace(/\.$/, '').toLowerCase() };
+}
+
+/**
+ * Parse a coupon into the amount it takes off the price
+ * @param {string|number} coupon - Coupon text ("Apply $5 coupon", "Save 10% with coupon") or amount
+ * @param {number} price - Price the coupon applies to, used for percentage coupons
+ * @param {Object} options - Parsing options ({ locale })
+ * @returns {number|null} - Discount amount or null
+ */
+export function parseCouponDiscount(coupon, price, options = {}) {
+  if (typeof coupon === 'string') {
+    const percent = coupon.match(/(\d+(?:[.,]\d+)?)\s*%/);
+    if (percent) {
+      return price ? roundPrice(price * parseFloat(percent[1].replace(',', '.')) / 100) : null;
+    }
   }
 
-  if (priceString.includes('$')) return 'USD';
-  if (priceString.includes('€')) return 'EUR';
-  if (priceString.includes('£')) return 'GBP';
-  if (priceString.includes('¥')) return 'JPY';
-  if (priceString.includes('₹')) return 'INR';
+  return parsePrice(coupon, options);
+}
+
+/**
+ * Parse a shipping cost; "FREE delivery" is 0
+ * @param {string|number} shipping - Shipping text or amount
+ * @param {Object} options - Parsing options ({ locale })
+ * @returns {number|null} - Shipping cost or null if unknown
+ */
+export function parseShippingCost(shipping, options = {}) {
+  if (shipping === 0 || (typeof shipping === 'string' && /\bfree\b/i.test(shipping))) {
+    return 0;
+  }
 
-  return 'USD'; // Default
+  return parsePrice(shipping, options);
 }
 
 /**
  * Normalize price object
- * @param {Object} priceData - Raw price data
+ * @param {Object} priceData - Raw price data; currency is treated as page metadata (ISO code)
+ * @param {string|number} priceData.price - Current price
+ * @param {string|number} priceData.salePrice - Sale price, takes precedence over price
+ * @param {string|number} priceData.listPrice - List / was price
+ * @param {string|number} priceData.subscribePrice - Subscribe & Save price
+ * @param {string|number} priceData.clubPrice - Membership price (e.g. Walmart+)
+ * @param {string|number} priceData.couponDiscount - Coupon text or amount, see parseCouponDiscount
+ * @param {string|number} priceData.unitPrice - Unit price text ("$0.25/oz") or amount with unitOfMeasure
+ * @param {string|number} priceData.shippingCost - Shipping text or amount, see parseShippingCost
+ * @param {Object} options - Parsing options
+ * @param {string} options.locale - Number format locale passed to parsePrice
+ * @param {string} options.url - Page URL, used to resolve ambiguous currency symbols
+ * @param {string} options.currency - Store currency for prices without a code or unambiguous symbol
  * @returns {Object|null} - Normalized price object
  */
-export function normalizePrice(priceData) {
+export function normalizePrice(priceData, options = {}) {
   if (!priceData) return null;
 
   const { price, salePrice, listPrice, currency } = priceData;
 
   // Prioritize sale price if available
   const finalPrice = salePrice || price || listPrice;
-  const parsedPrice = parsePrice(finalPrice);
+  const parsedPrice = parsePrice(finalPrice, options);
 
   if (!parsedPrice) {
     return null;
   }
 
-  return {
+  const resolved = resolveCurrency(String(finalPrice), {
+    url: options.url,
+    priceCurrency: currency,
+    defaultCurrency: options.currency
+  });
+  const parsedListPrice = listPrice ? parsePrice(listPrice, options) : null;
+
+  return applyPriceDetails({
     price: parsedPrice,
-    originalPrice: listPrice ? parsePrice(listPrice) : parsedPrice,
-    salePrice: salePrice ? parsePrice(salePrice) : null,
-    currency: currency || extractCurrency(finalPrice),
+    originalPrice: parsedListPrice || parsedPrice,
+    listPrice: parsedListPrice,
+    salePrice: salePrice ? parsePrice(salePrice, options) : null,
+    subscribePrice: null,
+    clubPrice: null,
+    couponDiscount: null,
+    unitPrice: null,
+    unitOfMeasure: null,
+    shippingCost: null,
+    effectivePrice: parsedPrice,
+    currency: resolved.code,
+    currencyConfidence: resolved.confidence,
     isOnSale: !!salePrice && salePrice !== price
-  };
+  }, priceData, options);
+}
+
+/**
+ * Fill in price breakdown fields that normalized price data is still missing
+ * Extractors use this to add page-wide details (coupon, shipping, unit price) to every method's result
+ * @param {Object|null} priceData - Normalized price data
+ * @param {Object} details - Raw { subscribePrice, clubPrice, couponDiscount, unitPrice, unitOfMeasure, shippingCost }
+ * @param {Object} options - Parsing options ({ locale })
+ * @returns {Object|null} - Price data with breakdown and recomputed effectivePrice
+ */
+export function applyPriceDetails(priceData, details = {}, options = {}) {
+  if (!priceData) return null;
+
+  const result = { ...priceData };
+
+  if (result.subscribePrice == null && details.subscribePrice) {
+    result.subscribePrice = parsePrice(details.subscribePrice, options);
+  }
+
+  if (result.clubPrice == null && details.clubPrice) {
+    result.clubPrice = parsePrice(details.clubPrice, options);
+  }
+
+  if (result.couponDiscount == null && details.couponDiscount) {
+    result.couponDiscount = parseCouponDiscount(details.couponDiscount, result.price, options);
+  }
+
+  if (result.unitPrice == null && details.unitPrice) {
+    const unit = typeof details.unitPrice === 'number'
+      ? { unitPrice: roundPrice(details.unitPrice), unitOfMeasure: details.unitOfMeasure || null }
+      : parseUnitPrice(details.unitPrice, options);
+
+    if (unit) {
+      result.unitPrice = unit.unitPrice;
+      result.unitOfMeasure = unit.unitOfMeasure;
+    }
+  }
+
+  if (result.shippingCost == null && details.shippingCost != null) {
+    result.shippingCost = parseShippingCost(details.shippingCost, options);
+  }
+
+  result.effectivePrice = getEffectivePrice(result.price, result.couponDiscount, result.shippingCost);
+
+  return result;
+}
+
+/**
+ * What a one-time buyer pays: price less coupon plus shipping
+ * Subscribe & Save and club prices need a subscription or membership, so they are reported but not applied
+ */
+function getEffectivePrice(price, couponDiscount, shippingCost) {
+  const effective = price - (couponDiscount || 0) + (shippingCost || 0);
+  return Math.round(Math.max(0, effective) * 100) / 100;
 }
@@ -0,0 +1,50 @@
+/**
+ * Hidden price (MAP) detection utilities
+ */
+
+/**
+ * How a product's price is shown
+ * public: on the page; cart: only after adding to cart; login: only after signing in; quote: on request
+ */
+export const PRICE_VISIBILITY = {
+  PUBLIC: 'public',
+  CART: 'cart',
+  LOGIN: 'login',
+  QUOTE: 'quote'
+};
+
+/**
+ * Errors for hidden prices when the page carries no price elsewhere
+ */
+export const HIDDEN_PRICE_ERRORS = {
+  cart: 'No public price: price is only shown in cart',
+  login: 'No public price: price is only shown after signing in',
+  quote: 'No public price: price is only available on request'
+};
+
+const VISIBILITY_PATTERNS = [
+  {
+    pattern: /see price in cart|add (?:this item )?to (?:your )?cart to see (?:the )?price|to see product details, add (?:this item )?to (?:your )?cart|price (?:is )?(?:available|shown) in cart|our price is too low to display/i,
+    visibility: PRICE_VISIBILITY.CART
+  },
+  {
+    pattern: /(?:sign|log) ?in (?:to|for) (?:see |view )?(?:the |your )?pric(?:e|ing)|members?[- ]only pric/i,
+    visibility: PRICE_VISIBILITY.LOGIN
+  },
+  {
+    pattern: /request (?:a )?quote|call for pric|contact (?:us )?for pric|price on request/i,
+    visibility: PRICE_VISIBILITY.QUOTE
+  }
+];
+
+/**
+ * Classify a price-area message as a hidden price
+ * @param {string} text - Text of the price area or buy box
+ * @returns {string|null} - 'cart', 'login' or 'quote', or null if the text does not hide the price
+ */
+export function parsePriceVisibility(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const match = VISIBILITY_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.visibility : null;
+}
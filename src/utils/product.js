@@ -0,0 +1,120 @@
+/**
+ * Product metadata utilities
+ */
+
+import { findJsonLdProduct, findJsonLdBreadcrumbs } from './jsonLd.js';
+
+/**
+ * Identifier keys reported on product metadata
+ */
+export const IDENTIFIER_KEYS = ['asin', 'itemId', 'sku', 'gtin', 'mpn'];
+
+/**
+ * Empty product metadata, with every field present
+ * @returns {Object} - Product metadata
+ */
+export function emptyProduct() {
+  return {
+    title: null,
+    brand: null,
+    images: [],
+    identifiers: Object.fromEntries(IDENTIFIER_KEYS.map(key => [key, null])),
+    categories: [],
+    rating: null,
+    reviewCount: null
+  };
+}
+
+/**
+ * Read product metadata from schema.org JSON-LD, then Open Graph and microdata
+ * @param {CheerioAPI} $ - Loaded page
+ * @returns {Object} - Product metadata (see emptyProduct)
+ */
+export function extractBaseProduct($) {
+  const product = findJsonLdProduct($) || {};
+  const rating = product.aggregateRating || {};
+  const meta = name => $(`meta[property="${name}"]`).attr('content') || null;
+  const itemprop = name => {
+    const element = $(`[itemprop="${name}"]`).first();
+    return (element.attr('content') || element.text()).trim() || null;
+  };
+
+  return mergeProduct({
+    title: product.name || meta('og:title') || itemprop('name'),
+    brand: (typeof product.brand === 'object' ? product.brand?.name : product.brand) || meta('product:brand') || itemprop('brand'),
+    images: toImageUrls(product.image).concat(meta('og:image') || []),
+    identifiers: {
+      sku: product.sku ? String(product.sku) : null,
+      gtin: product.gtin13 || product.gtin12 || product.gtin14 || product.gtin8 || product.gtin || null,
+      mpn: product.mpn || null
+    },
+    categories: findJsonLdBreadcrumbs($).concat(
+      typeof product.category === 'string' ? product.category.split(/\s*>\s*/) : []
+    ),
+    rating: toNumber(rating.ratingValue),
+    reviewCount: toCount(rating.reviewCount ?? rating.ratingCount)
+  });
+}
+
+/**
+ * Merge product metadata, earlier sources winning field by field
+ * Images are combined without duplicates; categories come from the first source that has any
+ * @param {...Object} sources - Partial product metadata, most specific first
+ * @returns {Object} - Product metadata (see emptyProduct)
+ */
+export function mergeProduct(...sources) {
+  const product = emptyProduct();
+
+  for (const source of sources.filter(Boolean)) {
+    for (const field of ['title', 'brand', 'rating', 'reviewCount']) {
+      if (product[field] == null && source[field] != null && source[field] !== '') {
+        product[field] = typeof source[field] === 'string' ? source[field].trim() : source[field];
+      }
+    }
+
+    for (const key of IDENTIFIER_KEYS) {
+      if (product.identifiers[key] == null && source.identifiers?.[key] != null) {
+        product.identifiers[key] = String(source.identifiers[key]);
+      }
+    }
+
+    for (const image of source.images || []) {
+      if (image && !product.images.includes(image)) product.images.push(image);
+    }
+
+    if (product.categories.length === 0 && source.categories?.length) {
+      product.categories = [...new Set(source.categories.map(name => name.trim()).filter(Boolean))];
+    }
+  }
+
+  return product;
+}
+
+/**
+ * Parse a rating such as 4.6, "4.6" or "4.6 out of 5 stars"
+ * @param {*} value - Rating value
+ * @returns {number|null} - Rating or null
+ */
+export function toNumber(value) {
+  const number = parseFloat(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse a count such as 12345, "12,345 ratings" or "1.234 Bewertungen"
+ * @param {*} value - Count value
+ * @returns {number|null} - Count or null
+ */
+export function toCount(value) {
+  const digits = String(value ?? '').match(/\d[\d,.\s]*/)?.[0].replace(/\D/g, '');
+  return digits ? parseInt(digits, 10) : null;
+}
+
+/**
+ * Normalize schema.org image (URL, ImageObject or a list of either) to URLs
+ */
+function toImageUrls(image) {
+  return [].concat(image || [])
+    .map(entry => (typeof entry === 'object' ? entry.url || entry.contentUrl : entry))
+    .filter(entry => typeof entry === 'string');
+}
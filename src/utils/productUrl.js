@@ -0,0 +1,82 @@
+/**
+ * Product URL normalization utilities
+ */
+
+/**
+ * Query parameters that only track the visit and never select a different product
+ */
+const TRACKING_PARAMS = new Set([
+  'ref', 'ref_', 'tag', 'linkcode', 'linkid', 'camp', 'creative', 'creativeasin', 'ascsubtag',
+  'psc', 'th', 'qid', 'sr', 'keywords', 'crid', 'sprefix', 'content-id', 'dib', 'dib_tag', 'spla',
+  'gclid', 'gclsrc', 'fbclid', 'msclkid', 'mc_cid', 'mc_eid', 'irgwc', 'clickid', 'affid', 'wmlspartner',
+  'athcpid', 'athpgid', 'athznid', 'athmtid', 'athstid', 'athguid', 'athwpid', 'athtvid', 'athcgid',
+  'classtype', 'adsredirect'
+]);
+
+/**
+ * Tracking parameter prefixes (utm_source, pd_rd_w, pf_rd_p, ...)
+ */
+const TRACKING_PREFIXES = ['utm_', 'pd_rd_', 'pf_rd_', '_encoding', 'ds_'];
+
+/**
+ * Parse a URL, accepting bare hosts such as "amazon.com/dp/B08N5WRWNW"
+ * @param {string} url - URL
+ * @returns {URL|null} - Parsed URL or null if it cannot be parsed
+ */
+export function parseUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  const trimmed = url.trim();
+
+  try {
+    return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a hostname is a domain or one of its subdomains, on label boundaries
+ * "amazon.com" matches "smile.amazon.com" but not "notamazon.com" or "amazon.com.evil.io"; a prefix
+ * such as "shop." matches any hostname with that label ("shop.example.com", "www.shop.example.net")
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} domain - Domain ("target.com") or domain prefix ending in "." ("shop.")
+ * @returns {boolean} - True on a match
+ */
+export function matchesDomain(hostname, domain) {
+  const pattern = domain.toLowerCase();
+
+  if (pattern.endsWith('.')) {
+    return hostname.startsWith(pattern) || hostname.includes(`.${pattern}`);
+  }
+
+  return hostname === pattern || hostname.endsWith(`.${pattern}`);
+}
+
+/**
+ * Normalize a product URL for comparison: https, lowercase host without "www.",
+ * no fragment, no trailing slash, tracking parameters removed and the rest sorted
+ * @param {string} url - Product URL
+ * @returns {string} - Normalized URL, or the trimmed input if it cannot be parsed
+ */
+export function normalizeUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return typeof url === 'string' ? url.trim() : url;
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !isTrackingParam(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = new URLSearchParams(params).toString();
+  const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+
+  return `https://${parsed.hostname.replace(/^www\./, '')}${pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Check whether a query parameter only tracks the visit
+ */
+function isTrackingParam(key) {
+  const name = key.toLowerCase();
+  return TRACKING_PARAMS.has(name) || TRACKING_PREFIXES.some(prefix => name.startsWith(prefix));
+}
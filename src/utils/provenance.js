@@ -0,0 +1,144 @@
+/**
+ * Extraction provenance and confidence scoring utilities
+ */
+
+/**
+ * Base confidence per extraction method
+ * Structured data (JSON-LD, embedded state) ranks above meta tags, which rank above DOM selectors
+ */
+export const METHOD_CONFIDENCE = {
+  extractFromJsonLd: 0.9,
+  extractFromJsonData: 0.9,
+  extractFromTgtData: 0.9,
+  extractFromSkuJson: 0.9,
+  extractFromJsonState: 0.85,
+  extractFromPriceToPay: 0.8,
+  extractFromOpenGraph: 0.75,
+  extractFromMetaTags: 0.7,
+  extractFromPriceDisplay: 0.7,
+  extractFromPriceView: 0.7,
+  extractFromCorePrice: 0.6,
+  extractFromOffers: 0.5,
+  extractFromCommonSelectors: 0.4,
+  extractFromListPrice: 0.4
+};
+
+/**
+ * Methods that read embedded structured data rather than the visible price
+ * These still carry the price when the page hides it (e.g. "see price in cart")
+ */
+export const STRUCTURED_METHODS = [
+  'extractFromJsonLd',
+  'extractFromJsonData',
+  'extractFromTgtData',
+  'extractFromSkuJson',
+  'extractFromJsonState'
+];
+
+/**
+ * Confidence overrides for selectors that match too broadly to be trusted
+ */
+export const SELECTOR_CONFIDENCE = {
+  '[class*="price"]': 0.2,
+  '[id*="price"]': 0.2,
+  '.price': 0.3,
+  '[data-price]': 0.35
+};
+
+/**
+ * Confidence used for methods missing from METHOD_CONFIDENCE (e.g. custom extractors)
+ */
+export const DEFAULT_CONFIDENCE = 0.5;
+
+const AGREEMENT_BONUS = 0.1;
+const DISAGREEMENT_PENALTY = 0.05;
+
+/**
+ * Attach provenance to extracted price data
+ * @param {Object|null} priceData - Normalized price data
+ * @param {string} method - Extraction method name
+ * @param {string} selectorOrPattern - CSS selector or pattern that matched
+ * @returns {Object|null} - Price data with source, or null
+ */
+export function withSource(priceData, method, selectorOrPattern) {
+  if (!priceData) return null;
+
+  return { ...priceData, source: { method, selectorOrPattern: selectorOrPattern ?? null } };
+}
+
+/**
+ * Confidence of a single method result, before agreement with other methods is considered
+ * @param {Object} priceData - Price data with source
+ * @returns {number} - Confidence between 0 and 1
+ */
+export function baseConfidence(priceData) {
+  const source = priceData.source || {};
+
+  if (typeof source.confidence === 'number') {
+    return source.confidence;
+  }
+
+  return SELECTOR_CONFIDENCE[source.selectorOrPattern] ?? METHOD_CONFIDENCE[source.method] ?? DEFAULT_CONFIDENCE;
+}
+
+/**
+ * Score extraction confidence from the method used and agreement with other methods
+ * Each other method that found the same price adds 0.1, each that found a different one subtracts 0.05
+ * @param {Object} priceData - Chosen price data with source
+ * @param {Object[]} candidates - All price data found on the page (including the chosen one)
+ * @returns {number} - Confidence between 0 and 1
+ */
+export function scoreConfidence(priceData, candidates = []) {
+  let confidence = baseConfidence(priceData);
+
+  for (const candidate of candidates) {
+    if (candidate === priceData) continue;
+
+    confidence += pricesMatch(candidate.price, priceData.price) ? AGREEMENT_BONUS : -DISAGREEMENT_PENALTY;
+  }
+
+  return Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+}
+
+/**
+ * Group candidate prices and pick the value the most reliable methods agree on
+ * Each group is weighted by the summed base confidence of its methods; ties go to the group found first
+ * @param {Object[]} candidates - Price data with source, most reliable method first
+ * @returns {Object} - { chosen, dissenting } where chosen is the most reliable candidate of the winning group
+ */
+export function pickConsensus(candidates) {
+  const groups = [];
+
+  for (const candidate of candidates) {
+    const group = groups.find(g => pricesMatch(g.price, candidate.price));
+
+    if (group) {
+      group.members.push(candidate);
+      group.weight += baseConfidence(candidate);
+    } else {
+      groups.push({ price: candidate.price, members: [candidate], weight: baseConfidence(candidate) });
+    }
+  }
+
+  if (groups.length === 0) {
+    return { chosen: null, dissenting: [] };
+  }
+
+  const winner = groups.reduce((best, group) => (group.weight > best.weight ? group : best));
+  const chosen = winner.members.reduce((best, member) => (baseConfidence(member) > baseConfidence(best) ? member : best));
+
+  return {
+    chosen,
+    dissenting: candidates.filter(candidate => !winner.members.includes(candidate))
+  };
+}
+
+/**
+ * Check if two prices are equal to the cent
+ * @param {number} a - First price
+ * @param {number} b - Second price
+ * @returns {boolean} - True if equal
+ */
+export function pricesMatch(a, b) {
+  return Math.abs(a - b) < 0.005;
+}
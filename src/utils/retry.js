@@ -0,0 +1,70 @@
+/**
+ * Retry utilities
+ */
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an async operation with exponential backoff between attempts
+ * @param {Function} operation - Async function called with the attempt number (1-based)
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Total attempts (default: 3)
+ * @param {number} options.retryDelay - Delay before the second attempt in ms, doubled each time (default: 1000)
+ * @param {Function} options.sleep - Delay function (default: setTimeout-based sleep)
+ * @param {Function} options.shouldRetry - (error, attempt) => boolean; false stops retrying (default: always retry)
+ * @param {number} options.jitter - Fraction of each delay randomized away, 0-1, so parallel callers spread out (default: 0)
+ * @param {Function} options.random - Random number source in [0, 1) (default: Math.random)
+ * @returns {Promise<*>} - Result of the first successful attempt
+ * @throws {Error} - Last error once all attempts have failed
+ */
+export async function retryWithBackoff(operation, options = {}) {
+  const maxRetries = options.maxRetries || 3;
+  const retryDelay = options.retryDelay || 1000;
+  const wait = options.sleep || sleep;
+  const shouldRetry = options.shouldRetry || (() => true);
+  const jitter = options.jitter || 0;
+  const random = options.random || Math.random;
+
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      lastError = error;
+
+      if (attempt >= maxRetries || !shouldRetry(error, attempt)) {
+        break;
+      }
+
+      // Exponential backoff
+      const delay = retryDelay * Math.pow(2, attempt - 1);
+      await wait(delay * (1 - jitter * random()));
+    }
+  }
+
+  throw lastError || new Error('Unknown error');
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|number} value - Header value
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {number|null} - Delay in milliseconds, or null if missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
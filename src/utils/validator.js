@@ -2,6 +2,9 @@
  * Price validation utilities
  */
 
+import { GenericExtractor } from '../extractors/generic.js';
+import { AVAILABILITY } from './availability.js';
+
 /**
  * Validate if price is within reasonable range
  * @param {number} price - Price to validate
@@ -60,13 +63,19 @@ export function validatePriceData(priceData) {
 
   if (!priceData.currency) {
     result.errors.push('Currency is missing (using default: USD)');
+  } else if (priceData.currencyConfidence === 'low') {
+    result.errors.push(`Currency ${priceData.currency} is low confidence (no unambiguous symbol, code or metadata)`);
   }
 
   return result;
 }
 
 /**
- * Check if product is out of stock based on price indicators
+ * Check if product is out of stock
+ * Uses the generic availability detection (schema.org markup, then availability containers) instead of
+ * searching the whole page, so "unavailable" elsewhere on the page no longer counts
+ * @deprecated Use the availability field of getPrice results, or PriceScraper.detectAvailability for
+ *   vendor-aware detection
  * @param {string} html - HTML content
  * @returns {boolean} - True if appears out of stock
  */
@@ -75,13 +84,5 @@ export function isOutOfStock(html) {
     return false;
   }
 
-  const outOfStockIndicators = [
-    /out of stock/i,
-    /currently unavailable/i,
-    /temporarily out of stock/i,
-    /unavailable/i,
-    /sold out/i
-  ];
-
-  return outOfStockIndicators.some(pattern => pattern.test(html));
+  return new GenericExtractor().extractAvailability(html)?.status === AVAILABILITY.OUT_OF_STOCK;
 }
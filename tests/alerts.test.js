@@ -0,0 +1,210 @@
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PriceScraper } from '../src/scraper.js';
+import { AlertManager } from '../src/alerts/alertManager.js';
+import { WebhookSink } from '../src/alerts/webhookSink.js';
+import { JsonlFileSink } from '../src/alerts/jsonlFileSink.js';
+import { StdoutSink } from '../src/alerts/stdoutSink.js';
+import { MemoryHistoryStore } from '../src/history/memoryStore.js';
+
+/**
+ * Alert rule and sink tests
+ * Webhook delivery runs against a local HTTP server
+ */
+
+function collectingSink() {
+  const events = [];
+  return { events, send: async event => { events.push(event); } };
+}
+
+function inStock(url, price, extra = {}) {
+  return { url, vendor: 'amazon', price, currency: 'USD', isOnSale: false, available: true, ...extra };
+}
+
+describe('Alert Manager', () => {
+  test('priceBelow should fire once when price crosses the target', async () => {
+    const sink = collectingSink();
+    const alerts = new AlertManager({
+      rules: [{ id: 'cheap', type: 'priceBelow', url: 'https://amazon.com/dp/A', targetPrice: 50 }],
+      sinks: [sink]
+    });
+
+    await alerts.process(inStock('https://amazon.com/dp/A', 60));
+    await alerts.process(inStock('https://amazon.com/dp/A', 45));
+    await alerts.process(inStock('https://amazon.com/dp/A', 40));
+    await alerts.process(inStock('https://amazon.com/dp/B', 10));
+
+    expect(sink.events).toHaveLength(1);
+    expect(sink.events[0]).toMatchObject({ type: 'priceBelow', ruleId: 'cheap', price: 45, previousPrice: 60, targetPrice: 50 });
+  });
+
+  test('onSale should fire when isOnSale flips to true', async () => {
+    const alerts = new AlertManager({ rules: [{ type: 'onSale', vendor: 'amazon' }] });
+
+    await alerts.process(inStock('https://amazon.com/dp/A', 60));
+    const events = await alerts.process(inStock('https://amazon.com/dp/A', 45, { isOnSale: true }));
+    const repeat = await alerts.process(inStock('https://amazon.com/dp/A', 44, { isOnSale: true }));
+
+    expect(events.map(e => e.type)).toEqual(['onSale']);
+    expect(repeat).toEqual([]);
+  });
+
+  test('backInStock should fire after an out-of-stock result', async () => {
+    const alerts = new AlertManager({ rules: [{ type: 'backInStock' }] });
+    const url = 'https://walmart.com/ip/1';
+
+    await alerts.process({ url, vendor: 'walmart', available: false, availability: 'OutOfStock' });
+    await alerts.process({ url, vendor: 'walmart', available: false, error: 'Could not extract price from page' });
+    const events = await alerts.process(inStock(url, 20));
+
+    expect(events.map(e => e.type)).toEqual(['backInStock']);
+  });
+
+  test('should reject invalid rules and sinks', () => {
+    const alerts = new AlertManager();
+    expect(() => alerts.addRule({ type: 'priceAbove' })).toThrow('Alert rule type must be one of');
+    expect(() => alerts.addRule({ type: 'priceBelow' })).toThrow('requires a positive targetPrice');
+    expect(() => alerts.addSink({})).toThrow('must implement send(event)');
+  });
+});
+
+describe('Webhook Sink', () => {
+  let server;
+  let requests;
+  let failuresLeft;
+
+  beforeEach(async () => {
+    requests = [];
+    failuresLeft = 0;
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = failuresLeft-- > 0 ? 500 : 204;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function webhookUrl() {
+    return `http://127.0.0.1:${server.address().port}/hooks/price`;
+  }
+
+  test('should POST events signed with HMAC-SHA256', async () => {
+    const sink = new WebhookSink(webhookUrl(), { secret: 'shh' });
+    await sink.send({ type: 'onSale', url: 'https://amazon.com/dp/A' });
+
+    expect(requests).toHaveLength(1);
+    const expected = createHmac('sha256', 'shh').update(requests[0].body).digest('hex');
+    expect(requests[0].headers['x-signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(requests[0].body)).toEqual({ type: 'onSale', url: 'https://amazon.com/dp/A' });
+  });
+
+  test('should retry failed deliveries with backoff', async () => {
+    failuresLeft = 2;
+    const sink = new WebhookSink(webhookUrl(), { retryDelay: 1 });
+    await sink.send({ type: 'backInStock' });
+
+    expect(requests).toHaveLength(3);
+  });
+
+  test('should fail after maxRetries attempts', async () => {
+    failuresLeft = 5;
+    const sink = new WebhookSink(webhookUrl(), { maxRetries: 2, retryDelay: 1 });
+
+    await expect(sink.send({ type: 'backInStock' })).rejects.toThrow('Failed to deliver webhook after 2 attempts');
+    expect(requests).toHaveLength(2);
+  });
+});
+
+describe('File and Stdout Sinks', () => {
+  test('JsonlFileSink should append one line per event', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'alerts-'));
+    const path = join(dir, 'alerts.jsonl');
+
+    try {
+      const sink = new JsonlFileSink(path);
+      await sink.send({ type: 'onSale' });
+      await sink.send({ type: 'backInStock' });
+
+      const lines = (await readFile(path, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([{ type: 'onSale' }, { type: 'backInStock' }]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('StdoutSink should write JSON lines to its stream', async () => {
+    const chunks = [];
+    const sink = new StdoutSink({ stream: { write: chunk => chunks.push(chunk) } });
+    await sink.send({ type: 'onSale' });
+
+    expect(chunks).toEqual(['{"type":"onSale"}\n']);
+  });
+});
+
+describe('getPrice alerts', () => {
+  test('should evaluate rules for each result', async () => {
+    const sink = collectingSink();
+    const scraper = new PriceScraper('test-key', {
+      alerts: new AlertManager({ rules: [{ id: 'drop', type: 'priceBelow', targetPrice: 25 }], sinks: [sink] })
+    });
+    scraper.fetchHtml = async () => '<meta property="product:price:amount" content="19.99">';
+
+    const result = await scraper.getPrice('https://example.com/p/1');
+
+    expect(result.alerts).toEqual([{ type: 'priceBelow', ruleId: 'drop' }]);
+    expect(sink.events[0]).toMatchObject({ url: 'https://example.com/p/1', price: 19.99 });
+  });
+
+  test('should evaluate rules and history for every URL of a deduplicated batch product', async () => {
+    const sink = collectingSink();
+    const history = new MemoryHistoryStore();
+    const duplicate = 'https://smile.amazon.com/gp/product/B08N5WRWNW';
+    const scraper = new PriceScraper('test-key', {
+      historyStore: history,
+      alerts: new AlertManager({ rules: [{ id: 'smile', type: 'priceBelow', url: duplicate, targetPrice: 50 }], sinks: [sink] })
+    });
+    let fetches = 0;
+    scraper.fetchHtml = async () => {
+      fetches++;
+      return '<div id="priceToPay"><span class="a-offscreen">$49.99</span></div>';
+    };
+
+    const [first, second] = await scraper.getPricesBatch(['https://www.amazon.com/dp/B08N5WRWNW', duplicate]);
+
+    expect(fetches).toBe(1);
+    expect(first.alerts).toBeUndefined();
+    expect(second.alerts).toEqual([{ type: 'priceBelow', ruleId: 'smile' }]);
+    expect(sink.events).toHaveLength(1);
+    expect(sink.events[0]).toMatchObject({ url: duplicate, price: 49.99 });
+    expect(await history.getHistory(duplicate)).toHaveLength(1);
+  });
+
+  test('should track a URL repeated in one batch once', async () => {
+    const sink = collectingSink();
+    const history = new MemoryHistoryStore();
+    const url = 'https://example.com/p/1';
+    const scraper = new PriceScraper('test-key', {
+      historyStore: history,
+      alerts: new AlertManager({ rules: [{ id: 'drop', type: 'priceBelow', url, targetPrice: 25 }], sinks: [sink] })
+    });
+    scraper.fetchHtml = async () => '<meta property="product:price:amount" content="19.99">';
+
+    const results = await scraper.getPricesBatch([url, url, `${url}?utm_source=x`]);
+
+    expect(results.map(result => result.url)).toEqual([url, url, `${url}?utm_source=x`]);
+    expect(results.map(result => result.price)).toEqual([19.99, 19.99, 19.99]);
+    expect(await history.getHistory(url)).toHaveLength(1);
+    expect(sink.events).toHaveLength(1);
+  });
+});
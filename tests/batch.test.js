@@ -0,0 +1,275 @@
+import { PriceScraper } from '../src/scraper.js';
+import { BatchScheduler } from '../src/batch/scheduler.js';
+import { TokenBucket } from '../src/batch/tokenBucket.js';
+import { retryWithBackoff, parseRetryAfter, sleep } from '../src/utils/retry.js';
+import { pageWithPrice } from './helpers.js';
+
+/**
+ * Batch scheduling tests (concurrency, rate limits, 429 handling, cancellation)
+ */
+
+/**
+ * Tasks that record how many run at once and resolve after a delay
+ */
+function trackedTasks(vendors, delay = 10) {
+  const stats = { inFlight: 0, maxInFlight: 0, maxPerVendor: {}, running: {} };
+
+  const tasks = vendors.map((vendor, index) => ({
+    vendor,
+    run: async () => {
+      stats.inFlight++;
+      stats.running[vendor] = (stats.running[vendor] || 0) + 1;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+      stats.maxPerVendor[vendor] = Math.max(stats.maxPerVendor[vendor] || 0, stats.running[vendor]);
+
+      await sleep(delay);
+
+      stats.inFlight--;
+      stats.running[vendor]--;
+      return index;
+    }
+  }));
+
+  return { tasks, stats };
+}
+
+/**
+ * Scheduler on a fake clock: each wait it requests is recorded and advances the clock at once
+ */
+function fakeClockScheduler(options = {}) {
+  const clock = { now: 0, waits: [] };
+  const scheduler = new BatchScheduler({
+    ...options,
+    now: () => clock.now,
+    sleep: async ms => {
+      clock.waits.push(ms);
+      clock.now += ms;
+    }
+  });
+
+  return { scheduler, clock };
+}
+
+describe('Token Bucket', () => {
+  test('should allow a burst up to capacity, then refill over time', () => {
+    let now = 0;
+    const bucket = new TokenBucket({ tokensPerInterval: 2, interval: 1000, now: () => now });
+
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(false);
+    expect(bucket.getWaitTime()).toBe(500);
+
+    now = 500;
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.getWaitTime()).toBe(500);
+  });
+
+  test('should reject invalid rates', () => {
+    expect(() => new TokenBucket({ tokensPerInterval: 0 })).toThrow('tokensPerInterval must be a positive number');
+  });
+});
+
+describe('Batch Scheduler', () => {
+  test('should respect global and per-vendor concurrency', async () => {
+    const scheduler = new BatchScheduler({ concurrency: 3, vendorConcurrency: { amazon: 1 } });
+    const { tasks, stats } = trackedTasks(['amazon', 'amazon', 'amazon', 'walmart', 'walmart', 'walmart', 'target']);
+
+    const outcomes = await scheduler.run(tasks);
+
+    expect(outcomes.map(outcome => outcome.value)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(stats.maxInFlight).toBe(3);
+    expect(stats.maxPerVendor.amazon).toBe(1);
+  });
+
+  test('should space task starts by the rate limit', async () => {
+    const { scheduler, clock } = fakeClockScheduler({ concurrency: 10, rateLimit: { tokensPerInterval: 2, interval: 100 } });
+    const starts = [];
+    const tasks = Array.from({ length: 4 }, () => ({ vendor: 'a', run: async () => starts.push(clock.now) }));
+
+    await scheduler.run(tasks);
+
+    // Two start at once, the next two wait for the bucket to refill (50ms per token)
+    expect(starts).toEqual([0, 0, 50, 100]);
+    expect(clock.waits).toEqual([50, 50]);
+  });
+
+  test('should let other vendors run while one waits on its rate limit', async () => {
+    const { scheduler, clock } = fakeClockScheduler({ vendorRateLimits: { amazon: { tokensPerInterval: 1, interval: 200 } } });
+    const order = [];
+    const task = (vendor, id) => ({ vendor, run: async () => order.push(id) });
+
+    await scheduler.run([task('amazon', 'a1'), task('amazon', 'a2'), task('walmart', 'w1')]);
+
+    expect(order).toEqual(['a1', 'w1', 'a2']);
+    expect(clock.waits).toEqual([200]);
+  });
+
+  test('should pause for Retry-After and retry rate-limited tasks', async () => {
+    const { scheduler, clock } = fakeClockScheduler({ concurrency: 1 });
+    const starts = [];
+    let calls = 0;
+
+    const outcomes = await scheduler.run([
+      {
+        vendor: 'amazon',
+        run: async () => {
+          starts.push(clock.now);
+          if (calls++ === 0) throw Object.assign(new Error('Too Many Requests'), { status: 429, retryAfter: 60 });
+          return 'ok';
+        }
+      },
+      { vendor: 'walmart', run: async () => { starts.push(clock.now); return 'next'; } }
+    ]);
+
+    expect(outcomes.map(outcome => outcome.value)).toEqual(['ok', 'next']);
+    expect(starts).toEqual([0, 60, 60]);
+    expect(clock.waits).toEqual([60]);
+  });
+
+  test('should give up after maxRateLimitRetries', async () => {
+    const scheduler = new BatchScheduler({ maxRateLimitRetries: 1, rateLimitDelay: 5 });
+    let calls = 0;
+
+    const [outcome] = await scheduler.run([{
+      run: async () => {
+        calls++;
+        throw Object.assign(new Error('Too Many Requests'), { status: 429 });
+      }
+    }]);
+
+    expect(calls).toBe(2);
+    expect(outcome).toMatchObject({ status: 'rejected', reason: { status: 429 } });
+  });
+
+  test('should report progress and stream outcomes in completion order', async () => {
+    const scheduler = new BatchScheduler({ concurrency: 2 });
+    const progress = [];
+    const tasks = [30, 0].map((delay, index) => ({ run: async () => { await sleep(delay); return index; } }));
+
+    const streamed = [];
+    for await (const outcome of scheduler.stream(tasks, { onProgress: event => progress.push(event) })) {
+      streamed.push(outcome.index);
+    }
+
+    expect(streamed).toEqual([1, 0]);
+    expect(progress.map(event => event.completed)).toEqual([1, 2]);
+    expect(progress[1]).toMatchObject({ total: 2, succeeded: 2, failed: 0, inFlight: 0, queued: 0 });
+  });
+
+  test('should cancel queued tasks when the signal aborts', async () => {
+    const scheduler = new BatchScheduler({ concurrency: 1 });
+    const controller = new AbortController();
+    const { tasks } = trackedTasks(['a', 'a', 'a']);
+
+    const outcomes = await scheduler.run(tasks, {
+      signal: controller.signal,
+      onProgress: () => controller.abort()
+    });
+
+    expect(outcomes[0]).toMatchObject({ status: 'fulfilled', value: 0 });
+    expect(outcomes.slice(1).map(outcome => outcome.reason.message)).toEqual(['Batch cancelled', 'Batch cancelled']);
+  });
+});
+
+describe('getPricesBatch scheduling', () => {
+  function createScraper(delays, options) {
+    const scraper = new PriceScraper('test-key', options);
+    scraper.fetchHtml = async (url, fetchOptions) => {
+      await sleep(delays[url] || 0);
+      if (fetchOptions.signal?.aborted) throw new Error('Failed to fetch HTML after 1 attempts: canceled');
+      return pageWithPrice('9.99');
+    };
+    return scraper;
+  }
+
+  const urls = ['https://shop.example.com/p/1', 'https://shop.example.com/p/2', 'https://shop.example.com/p/3'];
+
+  test('streamPricesBatch should yield results in input or completion order', async () => {
+    const scraper = createScraper({ [urls[0]]: 40, [urls[1]]: 20 });
+
+    const inputOrder = [];
+    for await (const { index, result } of scraper.streamPricesBatch(urls)) {
+      inputOrder.push(index);
+      expect(result).toMatchObject({ url: urls[index], price: 9.99 });
+    }
+
+    const completionOrder = [];
+    for await (const { index } of scraper.streamPricesBatch(urls, { order: 'completion' })) {
+      completionOrder.push(index);
+    }
+
+    expect(inputOrder).toEqual([0, 1, 2]);
+    expect(completionOrder).toEqual([2, 1, 0]);
+  });
+
+  test('getPricesBatch should apply the scraper batch limits', async () => {
+    const scraper = createScraper({}, { batch: { concurrency: 1 } });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const fetchHtml = scraper.fetchHtml;
+    scraper.fetchHtml = async (...args) => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      try {
+        return await fetchHtml(...args);
+      } finally {
+        inFlight--;
+      }
+    };
+
+    const results = await scraper.getPricesBatch(urls);
+
+    expect(results.every(result => result.available)).toBe(true);
+    expect(maxInFlight).toBe(1);
+  });
+
+  test('getPricesBatch should return cancelled results once aborted', async () => {
+    const scraper = createScraper({ [urls[0]]: 20 }, { batch: { concurrency: 1 } });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 5);
+
+    const results = await scraper.getPricesBatch(urls, { signal: controller.signal });
+
+    expect(results.map(result => result.available)).toEqual([false, false, false]);
+    expect(results[2]).toEqual({ url: urls[2], vendor: 'generic', errorCode: 'CANCELLED', error: 'Batch cancelled', available: false });
+  });
+
+  test('streamPricesBatch should reject unknown orders', async () => {
+    await expect(createScraper({}).streamPricesBatch(urls, { order: 'random' }).next()).rejects.toThrow('Unknown batch order: random');
+  });
+});
+
+describe('Retry helpers', () => {
+  test('retryWithBackoff should stop when shouldRetry returns false', async () => {
+    let attempts = 0;
+    const operation = async () => {
+      attempts++;
+      throw Object.assign(new Error('quota'), { status: 429 });
+    };
+
+    await expect(retryWithBackoff(operation, { maxRetries: 3, sleep: async () => {}, shouldRetry: error => error.status !== 429 }))
+      .rejects.toThrow('quota');
+    expect(attempts).toBe(1);
+  });
+
+  test('retryWithBackoff should shorten delays by up to the jitter fraction', async () => {
+    const delays = [];
+    const operation = async attempt => {
+      if (attempt < 3) throw new Error('flaky');
+      return 'ok';
+    };
+
+    await retryWithBackoff(operation, { retryDelay: 100, jitter: 0.5, random: () => 0.5, sleep: async ms => { delays.push(ms); } });
+
+    expect(delays).toEqual([75, 150]);
+  });
+
+  test('parseRetryAfter should read seconds and HTTP dates', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+
+    expect(parseRetryAfter('120', now)).toBe(120000);
+    expect(parseRetryAfter('Mon, 19 Oct 2026 12:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+import { mkdtemp, readdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PriceScraper } from '../src/scraper.js';
+import { FetchCache } from '../src/cache/fetchCache.js';
+import { MemoryCacheStore } from '../src/cache/memoryStore.js';
+import { FileCacheStore } from '../src/cache/fileStore.js';
+import { sleep } from '../src/utils/retry.js';
+import { pageWithPrice } from './helpers.js';
+
+/**
+ * Page cache tests (stores, TTLs, cache modes, request coalescing)
+ */
+
+/**
+ * Scraper with a page cache whose fetches are counted and served after a short delay
+ */
+function createScraper(options = {}) {
+  const scraper = new PriceScraper('test-key', { cacheStore: new MemoryCacheStore(), ...options });
+  scraper.fetched = [];
+  scraper.fetchHtml = async (url, fetchOptions) => {
+    scraper.fetched.push({ url, options: fetchOptions });
+    await sleep(5);
+    return pageWithPrice(`${scraper.fetched.length}.00`);
+  };
+  return scraper;
+}
+
+const URL = 'https://shop.example.com/p/1';
+
+describe('Cache Stores', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'page-cache-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('MemoryCacheStore should evict the least recently used page', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+
+    await store.set('a', { html: 'a' });
+    await store.set('b', { html: 'b' });
+    await store.get('a');
+    await store.set('c', { html: 'c' });
+
+    expect(await store.get('a')).toEqual({ html: 'a' });
+    expect(await store.get('b')).toBeNull();
+    expect(await store.get('c')).toEqual({ html: 'c' });
+  });
+
+  test('FileCacheStore should persist pages across instances', async () => {
+    await new FileCacheStore(dir).set('key', { html: '<html></html>', fetchedAt: 1 });
+
+    const store = new FileCacheStore(dir);
+    expect(await store.get('key')).toEqual({ html: '<html></html>', fetchedAt: 1 });
+    expect(await store.get('other')).toBeNull();
+
+    await store.delete('key');
+    expect(await store.get('key')).toBeNull();
+    expect(await readdir(dir)).toEqual([]);
+  });
+
+  test('FileCacheStore should treat unreadable files as misses', async () => {
+    const store = new FileCacheStore(dir);
+    await writeFile(store.getPath('key'), '{"key":"key","ht');
+
+    expect(await store.get('key')).toBeNull();
+  });
+});
+
+describe('Fetch Cache', () => {
+  test('getKey should ignore tracking parameters and key order but not render settings', () => {
+    const cache = new FetchCache(new MemoryCacheStore());
+
+    const key = cache.getKey(URL, { url: URL, render: true, waitFor: 2000 });
+
+    expect(cache.getKey(`${URL}?utm_source=mail`, { waitFor: 2000, render: true })).toBe(key);
+    expect(cache.getKey(URL, { render: false, waitFor: 2000 })).not.toBe(key);
+  });
+
+  test('should apply per-vendor TTLs', async () => {
+    let now = 0;
+    const cache = new FetchCache(new MemoryCacheStore(), { ttl: 1000, vendorTtls: { amazon: 100 }, now: () => now });
+    const fetchPage = async () => `page at ${now}`;
+
+    await cache.fetch('a', { vendor: 'amazon' }, fetchPage);
+    await cache.fetch('g', { vendor: 'generic' }, fetchPage);
+    now = 500;
+
+    expect(await cache.fetch('a', { vendor: 'amazon' }, fetchPage)).toEqual({ html: 'page at 500', fromCache: false, cacheAge: null });
+    expect(await cache.fetch('g', { vendor: 'generic' }, fetchPage)).toEqual({ html: 'page at 0', fromCache: true, cacheAge: 500 });
+  });
+});
+
+describe('getPrice caching', () => {
+  test('should serve repeated requests from cache and report the cache age', async () => {
+    const scraper = createScraper();
+
+    const first = await scraper.getPrice(URL);
+    const second = await scraper.getPrice(`${URL}?utm_campaign=dashboard`);
+
+    expect(first).toMatchObject({ price: 1, fromCache: false, cacheAge: null });
+    expect(second).toMatchObject({ price: 1, fromCache: true, cacheAge: expect.any(Number) });
+    expect(scraper.fetched).toHaveLength(1);
+
+    // Different render settings are a different page
+    expect(await scraper.getPrice(URL, { render: false })).toMatchObject({ price: 2, fromCache: false });
+  });
+
+  test('bypass should fetch and refresh the cache; only should never fetch', async () => {
+    const scraper = createScraper();
+
+    await expect(scraper.getPrice(URL, { cache: 'only' })).rejects.toMatchObject({ code: 'CACHE_MISS' });
+
+    await scraper.getPrice(URL);
+    expect(await scraper.getPrice(URL, { cache: 'bypass' })).toMatchObject({ price: 2, fromCache: false });
+    expect(await scraper.getPrice(URL, { cache: 'only' })).toMatchObject({ price: 2, fromCache: true });
+    expect(scraper.fetched).toHaveLength(2);
+  });
+
+  test('should coalesce concurrent fetches of the same page', async () => {
+    const scraper = createScraper();
+
+    const results = await Promise.all([scraper.getPrice(URL), scraper.getPrice(URL), scraper.getPrice(`${URL}/`)]);
+
+    expect(results.map(result => result.price)).toEqual([1, 1, 1]);
+    expect(scraper.fetched).toHaveLength(1);
+  });
+
+  test('should not cache failed fetches', async () => {
+    const scraper = createScraper();
+    const fetchHtml = scraper.fetchHtml;
+    scraper.fetchHtml = async () => { throw new Error('Failed to fetch HTML after 1 attempts: 503'); };
+
+    await expect(scraper.getPrice(URL)).rejects.toThrow('503');
+
+    scraper.fetchHtml = fetchHtml;
+    expect(await scraper.getPrice(URL)).toMatchObject({ price: 1, fromCache: false });
+  });
+
+  test('should report cache misses in batches and validate the cache mode', async () => {
+    const scraper = createScraper();
+
+    const [result] = await scraper.getPricesBatch([URL], { cache: 'only' });
+    expect(result).toMatchObject({ errorCode: 'CACHE_MISS', available: false });
+
+    await expect(scraper.getPrice(URL, { cache: 'sometimes' })).rejects.toThrow('Unknown cache mode: sometimes');
+    await expect(new PriceScraper('test-key').getPrice(URL, { cache: 'only' })).rejects.toThrow("cache: 'only' requires a cacheStore");
+  });
+});
@@ -0,0 +1,138 @@
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { PriceScraper } from '../src/scraper.js';
+import { run, EXIT_CODES, formatResults, getScrapeOptions, getScraperOptions, parseUrlList } from '../src/cli.js';
+import { UpstreamError } from '../src/utils/errors.js';
+import { fixturePath } from './helpers.js';
+
+/**
+ * CLI tests with injected IO and a stubbed fetch (no network)
+ */
+
+function createIo(pages = {}, stdinContent = '') {
+  const io = {
+    out: '',
+    err: '',
+    fetched: [],
+    env: { DECODO_API_KEY: 'test-key' },
+    stdin: Readable.from([stdinContent]),
+    stdout: { write: chunk => { io.out += chunk; } },
+    stderr: { write: chunk => { io.err += chunk; } },
+    createScraper: apiKey => {
+      const scraper = new PriceScraper(apiKey, { maxRetries: 1 });
+      scraper.fetchHtml = async (url, options) => {
+        io.fetched.push({ url, options });
+        if (!(url in pages)) throw new UpstreamError('Failed to fetch HTML after 1 attempts: 503', { status: 503 });
+        return pages[url];
+      };
+      return scraper;
+    }
+  };
+  return io;
+}
+
+const PRICED = '<meta property="product:price:amount" content="19.99"><meta property="product:price:currency" content="USD">';
+
+describe('CLI', () => {
+  test('price should print JSON and exit 0', async () => {
+    const io = createIo({ 'https://example.com/p/1': PRICED });
+    const code = await run(['price', 'https://example.com/p/1', '--no-render', '--wait-for', '500'], io);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(io.out)).toMatchObject({ url: 'https://example.com/p/1', price: 19.99, currency: 'USD' });
+    expect(io.fetched[0].options).toEqual({ render: false, waitFor: 500 });
+  });
+
+  test('price should distinguish fetch failures from extraction failures', async () => {
+    const io = createIo({ 'https://example.com/empty': '<html></html>' });
+
+    expect(await run(['price', 'https://example.com/missing'], io)).toBe(EXIT_CODES.FETCH_FAILED);
+    expect(await run(['price', 'https://example.com/empty'], io)).toBe(EXIT_CODES.NOT_EXTRACTED);
+  });
+
+  test('batch should read URLs from stdin and print CSV', async () => {
+    const io = createIo(
+      { 'https://example.com/p/1': PRICED, 'https://example.com/p/2': PRICED },
+      '# nightly\nhttps://example.com/p/1\n\nhttps://example.com/p/2\n'
+    );
+    const code = await run(['batch', '--format', 'csv'], io);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    const lines = io.out.trim().split('\n');
+    expect(lines[0]).toBe('url,vendor,price,originalPrice,salePrice,currency,isOnSale,availability,available,errorCode,error');
+    expect(lines).toHaveLength(3);
+  });
+
+  test('fetch should save raw HTML', async () => {
+    const io = createIo({ 'https://example.com/p/1': PRICED });
+    expect(await run(['fetch', 'https://example.com/p/1', '--save', 'html'], io)).toBe(EXIT_CODES.OK);
+    expect(io.out).toBe(PRICED);
+  });
+
+  test('extract should run offline against a saved page', async () => {
+    const io = createIo();
+    io.env = {};
+    const code = await run(['extract', fixturePath('bestbuy/price-domain-sale.html'), '--vendor', 'bestbuy'], io);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(io.out)).toMatchObject({ vendor: 'bestbuy', price: 1299.99, isOnSale: true });
+    expect(io.fetched).toHaveLength(0);
+  });
+
+  test('fixtures should report per-vendor pass rates', async () => {
+    const io = createIo();
+    const code = await run(['fixtures', fileURLToPath(new URL('./fixtures', import.meta.url))], io);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(io.out).toMatch(/^amazon: \d+\/\d+ passed \(100%\)$/m);
+  });
+
+  test('should report usage errors', async () => {
+    const io = createIo();
+    expect(await run([], io)).toBe(EXIT_CODES.USAGE);
+    expect(await run(['price'], io)).toBe(EXIT_CODES.USAGE);
+    expect(await run(['unknown'], io)).toBe(EXIT_CODES.USAGE);
+    expect(await run(['price', 'https://example.com', '--format', 'xml'], io)).toBe(EXIT_CODES.USAGE);
+    expect(await run(['fetch', 'https://example.com', '--wait-for', 'abc'], io)).toBe(EXIT_CODES.USAGE);
+    expect(io.err).toContain('Invalid wait time: abc');
+    expect(io.fetched).toEqual([]);
+  });
+});
+
+describe('CLI helpers', () => {
+  test('getScrapeOptions should map flags to getPrice options', () => {
+    expect(getScrapeOptions({
+      'user-agent': 'Bot/1.0',
+      'allow-out-of-stock': true,
+      consensus: true,
+      header: ['Accept-Language: de-DE']
+    })).toEqual({
+      userAgent: 'Bot/1.0',
+      allowOutOfStock: true,
+      consensus: true,
+      headers: { 'Accept-Language': 'de-DE', 'User-Agent': 'Bot/1.0' }
+    });
+  });
+
+  test('getScrapeOptions should reject wait times that are not whole milliseconds', () => {
+    expect(getScrapeOptions({ 'wait-for': '0' })).toEqual({ waitFor: 0 });
+    for (const value of ['abc', '', '-1', '1.5', '2s']) {
+      expect(() => getScrapeOptions({ 'wait-for': value })).toThrow(`Invalid wait time: ${value}`);
+    }
+  });
+
+  test('parseUrlList should skip blanks and comments', () => {
+    expect(parseUrlList('a\n\n# b\n c \r\n')).toEqual(['a', 'c']);
+  });
+
+  test('formatResults should render aligned tables', () => {
+    const output = formatResults([{ url: 'u', vendor: 'amazon', price: 1.5, available: true }], 'table');
+    expect(output.split('\n')[1]).toMatch(/^u\s+amazon\s+1\.5\s+true$/);
+  });
+
+  test('getScraperOptions should map --concurrency to batch options', () => {
+    expect(getScraperOptions({ concurrency: '8' })).toEqual({ batch: { concurrency: 8 } });
+    expect(getScraperOptions({})).toEqual({});
+    expect(() => getScraperOptions({ concurrency: '0' })).toThrow('Invalid concurrency: 0');
+  });
+});
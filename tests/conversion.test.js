@@ -0,0 +1,89 @@
+import { PriceScraper } from '../src/scraper.js';
+import { CurrencyConverter } from '../src/conversion/converter.js';
+import { FileRateProvider } from '../src/conversion/fileRateProvider.js';
+import { fixturePath } from './helpers.js';
+
+/**
+ * Currency conversion tests using local rate tables (no network)
+ */
+
+describe('File Rate Provider', () => {
+  test('should load JSON rate tables and compute cross rates', async () => {
+    const provider = new FileRateProvider({ path: fixturePath('rates/usd.json') });
+
+    expect(await provider.getRate('USD', 'EUR')).toMatchObject({ rate: 0.8, date: '2026-10-01' });
+    expect((await provider.getRate('EUR', 'USD')).rate).toBeCloseTo(1.25);
+    expect((await provider.getRate('GBP', 'JPY')).rate).toBeCloseTo(200);
+  });
+
+  test('should load CSV rate tables with a configured base', async () => {
+    const provider = new FileRateProvider({ path: fixturePath('rates/eur.csv'), base: 'EUR' });
+    const result = await provider.getRate('EUR', 'USD');
+
+    expect(result.rate).toBe(1.25);
+    expect(result.date).toBe('2026-10-01');
+    expect(result.source).toMatch(/^file:.*eur\.csv$/);
+  });
+
+  test('should reject unknown currencies', async () => {
+    const provider = new FileRateProvider({ table: { base: 'USD', rates: { EUR: 0.8 } } });
+    await expect(provider.getRate('USD', 'CHF')).rejects.toThrow('No exchange rate for USD to CHF');
+  });
+});
+
+describe('Currency Converter', () => {
+  const provider = new FileRateProvider({ table: { base: 'USD', date: '2026-10-01', rates: { GBP: 0.75 } } });
+  const converter = new CurrencyConverter(provider);
+
+  test('should convert amounts and report rate metadata', async () => {
+    expect(await converter.convert(30, 'GBP', 'USD')).toEqual({
+      convertedPrice: 40,
+      convertedCurrency: 'USD',
+      rate: 1 / 0.75,
+      rateDate: '2026-10-01',
+      rateSource: 'table'
+    });
+  });
+
+  test('should not call the provider for same-currency conversion', async () => {
+    const result = await converter.convert(19.99, 'usd', 'USD');
+    expect(result).toMatchObject({ convertedPrice: 19.99, rate: 1, rateSource: 'identity' });
+  });
+});
+
+describe('getPrice convertTo', () => {
+  const html = '<script type="application/ld+json">{"@type":"Product","offers":{"price":"30.00","priceCurrency":"GBP"}}</script>';
+
+  test('should add converted price to the result', async () => {
+    const scraper = new PriceScraper('test-key', {
+      rateProvider: new FileRateProvider({ path: fixturePath('rates/usd.json') })
+    });
+    scraper.fetchHtml = async () => html;
+
+    const result = await scraper.getPrice('https://www.example.co.uk/p/1', { convertTo: 'USD' });
+    expect(result).toMatchObject({
+      price: 30,
+      currency: 'GBP',
+      convertedPrice: 40,
+      convertedCurrency: 'USD',
+      rateDate: '2026-10-01'
+    });
+  });
+
+  test('should report conversion failures as warnings', async () => {
+    const scraper = new PriceScraper('test-key', {
+      rateProvider: new FileRateProvider({ table: { base: 'USD', rates: {} } })
+    });
+    scraper.fetchHtml = async () => html;
+
+    const result = await scraper.getPrice('https://www.example.co.uk/p/1', { convertTo: 'USD' });
+    expect(result.available).toBe(true);
+    expect(result.convertedPrice).toBeUndefined();
+    expect(result.warnings).toContain('Currency conversion failed: No exchange rate for GBP to USD');
+  });
+
+  test('should require a rate provider', async () => {
+    const scraper = new PriceScraper('test-key');
+    await expect(scraper.getPrice('https://example.com/p/1', { convertTo: 'USD' })).rejects.toThrow('convertTo requires a rateProvider');
+  });
+});
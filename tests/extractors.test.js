@@ -0,0 +1,304 @@
+import { readFileSync } from 'fs';
+import { PriceScraper } from '../src/scraper.js';
+import { AmazonExtractor } from '../src/extractors/amazon.js';
+import { WalmartExtractor } from '../src/extractors/walmart.js';
+import { TargetExtractor } from '../src/extractors/target.js';
+import { BestBuyExtractor } from '../src/extractors/bestbuy.js';
+
+/**
+ * Fixture-based tests for vendor extractors
+ * Fixtures live in tests/fixtures/<vendor>/ and mirror real page structure
+ */
+
+function loadFixture(path) {
+  return readFileSync(new URL(`./fixtures/${path}`, import.meta.url), 'utf8');
+}
+
+describe('Amazon Extractor', () => {
+  const extractor = new AmazonExtractor();
+  const html = '<div id="priceToPay"><span class="a-offscreen">1.299,00 €</span></div>';
+
+  test('should derive number format locale from the domain TLD', () => {
+    expect(extractor.getLocale('https://www.amazon.de/dp/B08N5WRWNW')).toBe('de-DE');
+    expect(extractor.getLocale('https://www.amazon.co.jp/dp/B08N5WRWNW')).toBe('ja-JP');
+    expect(extractor.getLocale('https://www.amazon.com/dp/B08N5WRWNW')).toBe('en-US');
+  });
+
+  test('should parse DOM prices using the marketplace locale', () => {
+    const result = extractor.extract(html, { url: 'https://www.amazon.de/dp/B08N5WRWNW' });
+    expect(result.price).toBe(1299);
+  });
+
+  test('should map each marketplace domain to country, currency and locale', () => {
+    const marketplaces = [
+      ['https://www.amazon.com/dp/B08N5WRWNW', 'US', 'USD', 'en-US'],
+      ['https://smile.amazon.com/dp/B08N5WRWNW', 'US', 'USD', 'en-US'],
+      ['https://www.amazon.co.uk/dp/B08N5WRWNW', 'GB', 'GBP', 'en-GB'],
+      ['https://www.amazon.de/dp/B08N5WRWNW', 'DE', 'EUR', 'de-DE'],
+      ['https://www.amazon.co.jp/dp/B08N5WRWNW', 'JP', 'JPY', 'ja-JP'],
+      ['https://www.amazon.in/dp/B08N5WRWNW', 'IN', 'INR', 'en-IN'],
+      ['https://www.amazon.ca/dp/B08N5WRWNW', 'CA', 'CAD', 'en-CA']
+    ];
+
+    for (const [url, country, currency, locale] of marketplaces) {
+      expect(extractor.getMarketplace(url)).toMatchObject({ country, currency, locale });
+    }
+    expect(extractor.getMarketplace('https://www.amazon.com.be/dp/B08N5WRWNW')).toBeNull();
+    expect(extractor.getProductKey('https://www.amazon.co.jp/dp/B08N5WRWNW')).toBe('amazon:JP:B08N5WRWNW');
+    expect(extractor.getProductKey('https://www.amazon.com.be/dp/B08N5WRWNW')).toBeNull();
+  });
+
+  test('should resolve prices without a currency to the marketplace currency', () => {
+    const json = '<script>var data = {"priceToPay":{"amount":"249.00"}};</script>';
+    const uk = extractor.extract(json, { url: 'https://www.amazon.co.uk/dp/B08N5WRWNW' });
+    const ca = extractor.extract('<div id="priceToPay"><span class="a-offscreen">$1,299.99</span></div>', { url: 'https://www.amazon.ca/dp/B08N5WRWNW' });
+
+    expect(uk).toMatchObject({ price: 249, currency: 'GBP', currencyConfidence: 'medium' });
+    expect(ca).toMatchObject({ price: 1299.99, currency: 'CAD', currencyConfidence: 'medium' });
+  });
+
+  test('should target Decodo geo to the marketplace country', () => {
+    const scraper = new PriceScraper('test-key');
+
+    expect(scraper.buildDecodoRequest('https://www.amazon.co.jp/dp/B08N5WRWNW').data.geo).toBe('Japan');
+    expect(scraper.buildDecodoRequest('https://www.amazon.de/dp/B08N5WRWNW', { decodoOptions: { geo: 'Austria' } }).data.geo)
+      .toBe('Austria');
+    expect(scraper.buildDecodoRequest('https://www.walmart.com/ip/46470587').data).not.toHaveProperty('geo');
+  });
+});
+
+describe('Target Extractor', () => {
+  const extractor = new TargetExtractor();
+
+  test('should read sale and regular price from __TGT_DATA__', () => {
+    const result = extractor.extract(loadFixture('target/tgt-data-sale.html'));
+    expect(result).toMatchObject({
+      price: 34.99,
+      originalPrice: 45,
+      salePrice: 34.99,
+      currency: 'USD',
+      isOnSale: true
+    });
+  });
+
+  test('should fall back to price display elements', () => {
+    const result = extractor.extract(loadFixture('target/price-display.html'));
+    expect(result).toMatchObject({ price: 1249, originalPrice: 1249, isOnSale: false });
+  });
+
+  test('should return null without price data', () => {
+    expect(extractor.extract('<html><body>No price</body></html>')).toBeNull();
+  });
+});
+
+describe('Best Buy Extractor', () => {
+  const extractor = new BestBuyExtractor();
+
+  test('should read customer and regular price from SKU JSON', () => {
+    const result = extractor.extract(loadFixture('bestbuy/price-domain-sale.html'));
+    expect(result).toMatchObject({
+      price: 1299.99,
+      originalPrice: 1499.99,
+      salePrice: 1299.99,
+      currency: 'USD',
+      isOnSale: true
+    });
+  });
+
+  test('should fall back to priceView display elements', () => {
+    const result = extractor.extract(loadFixture('bestbuy/price-view.html'));
+    expect(result).toMatchObject({ price: 249.99, isOnSale: false });
+  });
+});
+
+describe('Variant Enumeration', () => {
+  const amazonUrl = 'https://www.amazon.com/dp/B00JUM4XNE';
+  const walmartUrl = 'https://www.walmart.com/ip/551379361';
+
+  test('Amazon should read the twister matrix with swatch prices', () => {
+    const variants = new AmazonExtractor().extractVariants(loadFixture('amazon/twister-variants.html'), { url: amazonUrl });
+
+    expect(variants.map(v => [v.id, v.attributes, v.priceData?.price ?? null, v.availability])).toEqual([
+      ['B00JUM4XMA', { size: 'S', color: 'Black' }, 15.5, 'InStock'],
+      ['B00JUM4XNE', { size: 'M', color: 'Black' }, 16, 'InStock'],
+      ['B00JUM4XOI', { size: 'L', color: 'Black' }, null, 'OutOfStock'],
+      ['B00JUM4XPM', { size: 'M', color: 'Navy' }, null, null]
+    ]);
+    expect(variants[1]).toMatchObject({ idType: 'asin', selected: true, url: amazonUrl });
+  });
+
+  test('Walmart should read variantsMap with criteria names', () => {
+    const variants = new WalmartExtractor().extractVariants(loadFixture('walmart/next-data-variants.html'), { url: walmartUrl });
+
+    expect(variants).toHaveLength(3);
+    expect(variants[1]).toMatchObject({
+      id: '551379362',
+      idType: 'itemId',
+      attributes: { actual_color: 'Black', clothing_size: 'L' },
+      url: 'https://www.walmart.com/ip/Fruit-of-the-Loom-Crew-T-Shirt/551379362',
+      selected: false,
+      availability: 'OutOfStock'
+    });
+    expect(variants[1].priceData.price).toBe(9.48);
+    expect(variants[2].priceData).toBeNull();
+  });
+
+  test('variant URLs should resolve against URLs without a scheme', () => {
+    const amazon = new AmazonExtractor().extractVariants(loadFixture('amazon/twister-variants.html'), { url: 'amazon.com/dp/B00JUM4XNE' });
+    const walmart = new WalmartExtractor().extractVariants(loadFixture('walmart/next-data-variants.html'), { url: 'walmart.com/ip/551379361' });
+
+    expect(amazon[0].url).toBe('https://amazon.com/dp/B00JUM4XMA');
+    expect(walmart[1].url).toBe('https://walmart.com/ip/Fruit-of-the-Loom-Crew-T-Shirt/551379362');
+  });
+
+  test('getVariants should flatten prices and refetch missing ones on request', async () => {
+    const scraper = new PriceScraper('test-key');
+    const fetched = [];
+    scraper.fetchHtml = async url => {
+      fetched.push(url);
+      return url === walmartUrl
+        ? loadFixture('walmart/next-data-variants.html')
+        : '<script>window.__WML_REDUX_INITIAL_STATE__ = {"product":{"price":{"current":{"price":8.48}},"currency":"USD"}};</script>';
+    };
+
+    const listed = await scraper.getVariants(walmartUrl);
+    expect(listed.vendor).toBe('walmart');
+    expect(listed.variants[0]).toMatchObject({ id: '551379361', price: 8.98, currency: 'USD', priceSource: 'embedded', selected: true });
+    expect(listed.variants[2]).toMatchObject({ price: null, priceSource: null });
+    expect(listed.variants[0].priceData).toBeUndefined();
+
+    const refetched = await scraper.getVariants(walmartUrl, { refetchMissing: true });
+    expect(refetched.variants[2]).toMatchObject({ price: 8.48, priceSource: 'refetch' });
+    expect(fetched).toEqual([walmartUrl, walmartUrl, 'https://www.walmart.com/ip/Fruit-of-the-Loom-Crew-T-Shirt/551379363']);
+  });
+
+  test('extractVariantsFromHtml should return no variants for single-variant pages', async () => {
+    const result = await new PriceScraper().extractVariantsFromHtml('<span class="price">$5.00</span>', { url: 'https://shop.example.com/p/1' });
+    expect(result).toMatchObject({ vendor: 'generic', variants: [] });
+  });
+});
+
+describe('Marketplace Offers', () => {
+  test('Amazon should list every AOD offer with seller, condition and shipping', () => {
+    const offers = new AmazonExtractor().extractOffers(loadFixture('amazon/aod-offers.html'), { url: 'https://www.amazon.com/dp/B0BDHWDR12' });
+
+    expect(offers.map(o => [o.sellerName, o.sellerId, o.condition, o.priceData.price, o.priceData.shippingCost, o.fulfilledByRetailer, o.isBuyBox]))
+      .toEqual([
+        ['Amazon.com', null, 'new', 279, 0, true, true],
+        ['TechResale', 'A2L77EE7U53NWQ', 'used', 229.5, 6.99, false, false],
+        ['Renewed Deals', 'A3RENEWED1X', 'refurbished', 199.99, 0, true, false]
+      ]);
+  });
+
+  test('Amazon should point getOffers at the all-offers fragment', () => {
+    expect(new AmazonExtractor().getOffersUrl('https://www.amazon.de/dp/B0BDHWDR12?th=1'))
+      .toBe('https://www.amazon.de/gp/product/ajax/?asin=B0BDHWDR12&pc=dp&experienceId=aodAjaxMain');
+    expect(new AmazonExtractor().getOffersUrl('amazon.com/dp/B0BDHWDR12'))
+      .toBe('https://amazon.com/gp/product/ajax/?asin=B0BDHWDR12&pc=dp&experienceId=aodAjaxMain');
+    expect(new AmazonExtractor().getOffersUrl('https://www.amazon.com/s?k=ps5')).toBeNull();
+  });
+
+  test('Walmart should read seller offers from the state JSON', () => {
+    const offers = new WalmartExtractor().extractOffers(loadFixture('walmart/next-data-sellers.html'), { url: 'https://www.walmart.com/ip/5113183757' });
+
+    expect(offers.map(o => [o.sellerName, o.condition, o.priceData.price, o.priceData.shippingCost, o.fulfilledByRetailer, o.isBuyBox]))
+      .toEqual([
+        ['Walmart.com', 'new', 449, 0, true, true],
+        ['GameStop', 'new', 469.99, null, true, false],
+        ['Console Outlet', 'refurbished', 389, 12.5, false, false]
+      ]);
+  });
+
+  test('getOffers should fetch the offers page and flatten prices', async () => {
+    const scraper = new PriceScraper('test-key');
+    const fetched = [];
+    scraper.fetchHtml = async url => {
+      fetched.push(url);
+      return loadFixture('amazon/aod-offers.html');
+    };
+
+    const result = await scraper.getOffers('https://www.amazon.com/dp/B0BDHWDR12');
+
+    expect(fetched).toEqual(['https://www.amazon.com/gp/product/ajax/?asin=B0BDHWDR12&pc=dp&experienceId=aodAjaxMain']);
+    expect(result.vendor).toBe('amazon');
+    expect(result.offers[1]).toEqual({
+      sellerName: 'TechResale',
+      sellerId: 'A2L77EE7U53NWQ',
+      condition: 'used',
+      fulfilledByRetailer: false,
+      isBuyBox: false,
+      price: 229.5,
+      originalPrice: 229.5,
+      salePrice: null,
+      currency: 'USD',
+      isOnSale: false,
+      shippingCost: 6.99,
+      effectivePrice: 236.49
+    });
+  });
+});
+
+describe('Product Metadata', () => {
+  test('getProduct should return price and Amazon metadata from one fetch', async () => {
+    const scraper = new PriceScraper('test-key');
+    let fetches = 0;
+    scraper.fetchHtml = async () => {
+      fetches++;
+      return loadFixture('amazon/product-metadata.html');
+    };
+
+    const result = await scraper.getProduct('https://www.amazon.com/dp/B0BDHWDR12');
+
+    expect(fetches).toBe(1);
+    expect(result).toMatchObject({ vendor: 'amazon', price: 189.99, available: true });
+    expect(result.product).toEqual({
+      title: 'Apple AirPods Pro (2nd Generation) Wireless Ear Buds with USB-C Charging',
+      brand: 'Apple',
+      images: [
+        'https://m.media-amazon.com/images/I/61SUj2aKoEL._AC_SL1500_.jpg',
+        'https://m.media-amazon.com/images/I/61SUj2aKoEL._AC_SX679_.jpg',
+        'https://m.media-amazon.com/images/I/61SUj2aKoEL._AC_SX342_.jpg'
+      ],
+      identifiers: { asin: 'B0BDHWDR12', itemId: null, sku: null, gtin: '0194253397168', mpn: 'MQD83AM/A' },
+      categories: ['Electronics', 'Headphones, Earbuds & Accessories', 'Earbud Headphones'],
+      rating: 4.7,
+      reviewCount: 112845
+    });
+  });
+
+  test('Walmart should read metadata from the page data', () => {
+    const product = new WalmartExtractor().extractProduct(loadFixture('walmart/next-data-price-info.html'), { url: 'https://www.walmart.com/ip/46470587' });
+
+    expect(product).toMatchObject({
+      title: 'Tide Liquid Laundry Detergent, Original, 92 fl oz',
+      brand: 'Tide',
+      identifiers: { itemId: '46470587', gtin: '037000875154' },
+      categories: ['Household Essentials', 'Laundry', 'Laundry Detergent'],
+      rating: 4.7,
+      reviewCount: 8214
+    });
+    expect(product.images).toHaveLength(2);
+  });
+
+  test('generic pages should use JSON-LD and sort breadcrumbs by position', async () => {
+    const html = loadFixture('amazon/product-metadata.html').replace(/<body>[\s\S]*<\/body>/, '<body></body>');
+    const result = await new PriceScraper().extractProductFromHtml(html, { url: 'https://shop.example.com/p/1' });
+
+    expect(result.vendor).toBe('generic');
+    expect(result.product).toMatchObject({
+      title: 'Apple AirPods Pro (2nd Generation) Wireless Earbuds',
+      brand: 'Apple',
+      identifiers: { gtin: '0194253397168', mpn: 'MQD83AM/A', asin: null },
+      categories: ['Electronics', 'Headphones, Earbuds & Accessories']
+    });
+  });
+
+  test('metadata should be returned even when no price is found', async () => {
+    const result = await new PriceScraper().extractProductFromHtml(
+      '<meta property="og:title" content="Desk Lamp"><meta property="og:image" content="https://shop.example.com/lamp.jpg">',
+      { url: 'https://shop.example.com/p/2' }
+    );
+
+    expect(result).toMatchObject({ available: false, product: { title: 'Desk Lamp', images: ['https://shop.example.com/lamp.jpg'] } });
+  });
+});
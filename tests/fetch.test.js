@@ -0,0 +1,159 @@
+import { createServer } from 'http';
+import { PriceScraper } from '../src/scraper.js';
+import { detectBotChallenge } from '../src/utils/botChallenge.js';
+import { AuthError, BlockedError, QuotaError, TimeoutError, UpstreamError, classifyFetchError } from '../src/utils/errors.js';
+
+/**
+ * Decodo fetch tests: error classification, retry policies and bot challenge handling
+ * Requests go to a local HTTP server standing in for the Decodo API
+ */
+
+const PRODUCT_PAGE = '<meta property="product:price:amount" content="19.99"><meta property="product:price:currency" content="USD">';
+const ROBOT_CHECK = '<html><head><title>Robot Check</title></head><body><form action="/errors/validateCaptcha"></form></body></html>';
+
+describe('Decodo fetch', () => {
+  let server;
+  let responses;
+  let requests;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(JSON.parse(body));
+        const { status = 200, headers = {}, data = { html: PRODUCT_PAGE }, delay = 0 } = responses.shift() || {};
+
+        setTimeout(() => {
+          res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+          res.end(JSON.stringify(data));
+        }, delay);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    responses = [];
+    requests = [];
+  });
+
+  function createScraper(options = {}) {
+    const scraper = new PriceScraper('test-key', { apiUrl: `http://127.0.0.1:${server.address().port}`, retryDelay: 1, ...options });
+    scraper.sleep = async () => {};
+    return scraper;
+  }
+
+  test('should not retry a rejected API key or an invalid request', async () => {
+    responses.push({ status: 401, data: { message: 'Invalid API key' } });
+    const auth = createScraper().fetchHtml('https://www.amazon.com/dp/B08N5WRWNW');
+    await expect(auth).rejects.toBeInstanceOf(AuthError);
+    await expect(auth).rejects.toMatchObject({ code: 'AUTH_FAILED', status: 401 });
+
+    responses.push({ status: 400, data: { message: 'Invalid URL' } });
+    await expect(createScraper().fetchHtml('https://www.amazon.com/dp/B08N5WRWNW'))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST', message: expect.stringMatching(/^Failed to fetch HTML after 1 attempts/) });
+
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should leave 429s to the batch scheduler with Retry-After', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '30' } });
+
+    await expect(createScraper().fetchHtml('https://www.amazon.com/dp/B08N5WRWNW'))
+      .rejects.toMatchObject({ code: 'QUOTA_EXCEEDED', status: 429, retryAfter: 30000 });
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should retry upstream failures and empty pages', async () => {
+    responses.push({ status: 502 }, { data: { html: '  ' } });
+
+    expect(await createScraper().fetchHtml('https://www.amazon.com/dp/B08N5WRWNW')).toBe(PRODUCT_PAGE);
+    expect(requests).toHaveLength(3);
+  });
+
+  test('should classify client timeouts', async () => {
+    responses.push({ delay: 200 });
+
+    await expect(createScraper({ timeout: 20, maxRetries: 1 }).fetchHtml('https://www.amazon.com/dp/B08N5WRWNW'))
+      .rejects.toMatchObject({ code: 'TIMEOUT' });
+  });
+
+  test('should retry bot challenge pages with different render settings', async () => {
+    responses.push({ data: { html: ROBOT_CHECK } });
+
+    const html = await createScraper().fetchHtml('https://www.amazon.com/dp/B08N5WRWNW', { render: false });
+
+    expect(html).toBe(PRODUCT_PAGE);
+    expect(requests.map(({ render, waitFor }) => ({ render, waitFor }))).toEqual([
+      { render: false, waitFor: 2000 },
+      { render: true, waitFor: 5000 }
+    ]);
+  });
+
+  test('should keep the marketplace geo by default and change it only when configured', async () => {
+    const url = 'https://www.amazon.de/dp/B08N5WRWNW';
+    responses.push({ data: { html: ROBOT_CHECK } }, { data: { html: ROBOT_CHECK } });
+    await createScraper().fetchHtml(url);
+
+    responses.push({ data: { html: ROBOT_CHECK } });
+    await createScraper({ challengeRetrySettings: [{ render: true, geo: 'Austria' }] }).fetchHtml(url);
+
+    expect(requests.map(({ render, geo }) => ({ render, geo }))).toEqual([
+      { render: true, geo: 'Germany' },
+      { render: true, geo: 'Germany' },
+      { render: false, geo: 'Germany' },
+      { render: true, geo: 'Germany' },
+      { render: true, geo: 'Austria' }
+    ]);
+  });
+
+  test('should report BLOCKED when every attempt hits a challenge', async () => {
+    responses.push(...Array(3).fill({ data: { html: ROBOT_CHECK } }));
+    const scraper = createScraper({ challengeRetrySettings: [{ geo: 'Canada' }] });
+
+    const [result] = await scraper.getPricesBatch(['https://www.amazon.com/dp/B08N5WRWNW']);
+
+    expect(result).toMatchObject({ vendor: 'amazon', errorCode: 'BLOCKED', available: false });
+    expect(requests.map(request => request.geo)).toEqual(['United States', 'Canada', 'Canada']);
+  });
+
+  test('should report extraction failures with an errorCode', async () => {
+    responses.push({ data: { html: '<html><body>No price here</body></html>' } });
+
+    expect(await createScraper().getPrice('https://shop.example.com/p/1')).toMatchObject({
+      errorCode: 'NOT_EXTRACTED',
+      error: 'Could not extract price from page',
+      available: false
+    });
+  });
+});
+
+describe('Error classification', () => {
+  const axiosError = (status, code) => Object.assign(new Error('Request failed'), { code, response: status ? { status } : undefined });
+
+  test('classifyFetchError should map statuses and network errors to error classes', () => {
+    expect(classifyFetchError(axiosError(403))).toBeInstanceOf(AuthError);
+    expect(classifyFetchError(axiosError(402))).toBeInstanceOf(QuotaError);
+    expect(classifyFetchError(axiosError(504))).toBeInstanceOf(TimeoutError);
+    expect(classifyFetchError(axiosError(null, 'ECONNABORTED'))).toBeInstanceOf(TimeoutError);
+    expect(classifyFetchError(axiosError(null, 'ECONNRESET'))).toMatchObject({ code: 'UPSTREAM_ERROR', retryable: true });
+    expect(classifyFetchError(axiosError(404))).toMatchObject({ code: 'INVALID_REQUEST', retryable: false });
+    expect(classifyFetchError(axiosError(null, 'ERR_CANCELED'))).toMatchObject({ code: 'CANCELLED', retryable: false });
+
+    const blocked = new BlockedError('Bot challenge page', { challenge: 'datadome' });
+    expect(classifyFetchError(blocked)).toBe(blocked);
+    expect(new UpstreamError('Bad gateway', { status: 502 })).toMatchObject({ name: 'UpstreamError', retryable: true });
+  });
+
+  test('detectBotChallenge should recognize vendor challenge pages only', () => {
+    expect(detectBotChallenge(ROBOT_CHECK)).toBe('amazon-robot-check');
+    expect(detectBotChallenge('<h1>Verify your identity</h1><div id="px-captcha"></div>')).toBe('walmart-verify-identity');
+    expect(detectBotChallenge('<title>Just a moment...</title>')).toBe('cloudflare');
+    expect(detectBotChallenge(`${PRODUCT_PAGE}<script src="https://www.google.com/recaptcha/api.js"></script>`)).toBeNull();
+  });
+});
@@ -0,0 +1,194 @@
+import { createServer } from 'http';
+import { mkdtemp, readdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PriceScraper } from '../src/scraper.js';
+import { DirectFetcher } from '../src/fetchers/directFetcher.js';
+import { ReplayFetcher } from '../src/fetchers/replayFetcher.js';
+import { BlockedError, UpstreamError } from '../src/utils/errors.js';
+import { getScraperOptions } from '../src/cli.js';
+import { pageWithPrice } from './helpers.js';
+
+/**
+ * Fetch backend tests (direct HTTP, file replay, fetch chains)
+ */
+
+const URL = 'https://shop.example.com/p/1';
+const NO_PRICE_PAGE = '<html><head><title>Product</title></head><body>Loading...</body></html>';
+
+/**
+ * Fetcher serving fixed pages (or throwing errors) and recording the URLs it was asked for
+ */
+function stubFetcher(...responses) {
+  return {
+    maxRetries: 1,
+    urls: [],
+    async fetch(url) {
+      this.urls.push(url);
+      const response = responses.length > 1 ? responses.shift() : responses[0];
+      if (response instanceof Error) throw response;
+      return response;
+    }
+  };
+}
+
+describe('DirectFetcher', () => {
+  let server;
+  let responses;
+  let requests;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      const { status = 200, body = pageWithPrice('19.99') } = responses.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'text/html' });
+      res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    responses = [];
+    requests = [];
+  });
+
+  function pageUrl(path = '/p/1') {
+    return `http://127.0.0.1:${server.address().port}${path}`;
+  }
+
+  test('should scrape the page without Decodo', async () => {
+    const scraper = new PriceScraper(null, { fetchChain: ['direct'] });
+
+    const result = await scraper.getPrice(pageUrl(), { headers: { 'Accept-Language': 'en-US' } });
+
+    expect(result).toMatchObject({ price: 19.99, currency: 'USD', fetcher: 'direct' });
+    expect(requests).toHaveLength(1);
+    expect(requests[0].headers['accept-language']).toBe('en-US');
+  });
+
+  test('should report a refusal by the site as BLOCKED, not AUTH_FAILED', async () => {
+    responses.push({ status: 403, body: 'Forbidden' });
+
+    await expect(new DirectFetcher().fetch(pageUrl())).rejects.toBeInstanceOf(BlockedError);
+
+    responses.push({ status: 404, body: 'Not found' });
+    await expect(new DirectFetcher().fetch(pageUrl())).rejects.toMatchObject({ code: 'INVALID_REQUEST', status: 404 });
+  });
+});
+
+describe('ReplayFetcher', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'replay-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should scrape recorded pages offline, matching on the normalized URL', async () => {
+    await writeFile(join(dir, 'page.json'), JSON.stringify({ url: URL, html: pageWithPrice('24.50') }));
+    await writeFile(join(dir, 'notes.json'), '{"not": "a recording"}');
+    const scraper = new PriceScraper(null, { fetchers: { replay: new ReplayFetcher(dir) }, fetchChain: ['replay'] });
+
+    const result = await scraper.getPrice(`${URL}?utm_source=mail`);
+
+    expect(result).toMatchObject({ price: 24.5, fetcher: 'replay' });
+    await expect(scraper.getPrice('https://shop.example.com/p/2'))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST', fetcher: 'replay' });
+  });
+
+  test('should record misses from recordFrom but not challenge pages', async () => {
+    const source = stubFetcher(pageWithPrice('9.99'));
+    const recorder = new ReplayFetcher(dir, { recordFrom: source });
+
+    expect(await recorder.fetch(URL)).toBe(pageWithPrice('9.99'));
+    expect(await recorder.fetch(URL)).toBe(pageWithPrice('9.99'));
+    expect(source.urls).toEqual([URL]);
+
+    // A new instance replays the recording
+    expect(await new ReplayFetcher(dir).fetch(URL)).toBe(pageWithPrice('9.99'));
+
+    const robotCheck = '<html><head><title>Robot Check</title></head><body><form action="/errors/validateCaptcha"></form></body></html>';
+    await new ReplayFetcher(dir, { recordFrom: stubFetcher(robotCheck) }).fetch('https://www.amazon.com/dp/B08N5WRWNW');
+    expect(await readdir(dir)).toHaveLength(1);
+  });
+});
+
+describe('Fetch chains', () => {
+  function createScraper(fetchers, options = {}) {
+    const scraper = new PriceScraper(null, { fetchers, retryDelay: 1, ...options });
+    scraper.sleep = async () => {};
+    return scraper;
+  }
+
+  test('should escalate to the next fetcher when no price is extracted', async () => {
+    const cheap = stubFetcher(NO_PRICE_PAGE);
+    const rendered = stubFetcher(pageWithPrice('42.00'));
+    const scraper = createScraper({ cheap, rendered }, { fetchChain: ['cheap', 'rendered'] });
+
+    const result = await scraper.getPrice(URL);
+
+    expect(result).toMatchObject({ price: 42, fetcher: 'rendered' });
+    expect(cheap.urls).toEqual([URL]);
+    expect(rendered.urls).toEqual([URL]);
+  });
+
+  test('should fall back on fetch errors and report the last failure', async () => {
+    const broken = stubFetcher(new UpstreamError('Connection reset'));
+    const backup = stubFetcher(pageWithPrice('5.00'));
+    const scraper = createScraper({ broken, backup }, { fetchChain: ['broken', 'backup'] });
+
+    expect(await scraper.getPrice(URL)).toMatchObject({ price: 5, fetcher: 'backup' });
+    expect(await scraper.fetchHtml(URL)).toBe(pageWithPrice('5.00'));
+
+    const failing = createScraper({ broken, other: stubFetcher(new UpstreamError('Bad request', { status: 400 })) }, { fetchChain: ['broken', 'other'] });
+    await expect(failing.getPrice(URL)).rejects.toMatchObject({ code: 'INVALID_REQUEST', fetcher: 'other' });
+  });
+
+  test('should use per-vendor chains and let options override them', async () => {
+    const replay = stubFetcher(pageWithPrice('1.00'));
+    const scraper = createScraper({ replay }, { vendorFetchChains: { generic: ['replay'] } });
+
+    expect(scraper.getFetchChain(URL)).toEqual(['replay']);
+    expect(scraper.getFetchChain('https://www.amazon.com/dp/B08N5WRWNW')).toEqual(['decodo']);
+    expect(scraper.getFetchChain(URL, { fetchChain: ['direct'] })).toEqual(['direct']);
+    expect(await scraper.getPrice(URL)).toMatchObject({ price: 1, fetcher: 'replay' });
+  });
+
+  test('should validate fetchers', async () => {
+    const scraper = createScraper({});
+
+    expect(() => scraper.registerFetcher('bad', {})).toThrow('Fetcher bad must implement fetch(url, settings, context)');
+    expect(() => scraper.getFetcher('missing')).toThrow('Unknown fetcher: missing');
+    await expect(scraper.fetchHtml(URL)).rejects.toMatchObject({ code: 'AUTH_FAILED', fetcher: 'decodo' });
+  });
+
+  test('should reject empty chains and unknown fetcher names', async () => {
+    const backup = stubFetcher(pageWithPrice('5.00'));
+
+    expect(() => createScraper({}, { fetchChain: [] })).toThrow('Fetch chain must name at least one fetcher');
+    expect(() => createScraper({ backup }, { fetchChain: ['drect', 'backup'] })).toThrow('Unknown fetcher in fetch chain: drect');
+    expect(() => createScraper({}, { vendorFetchChains: { amazon: ['missing'] } })).toThrow('Unknown fetcher in fetch chain: missing');
+
+    const scraper = createScraper({ backup });
+    await expect(scraper.getPrice(URL, { fetchChain: [] })).rejects.toThrow('Fetch chain must name at least one fetcher');
+    await expect(scraper.getPrice(URL, { fetchChain: ['drect', 'backup'] })).rejects.toThrow('Unknown fetcher in fetch chain: drect');
+    await expect(scraper.fetchHtml(URL, { fetchChain: [] })).rejects.toThrow('Fetch chain must name at least one fetcher');
+    expect(backup.urls).toEqual([]);
+  });
+
+  test('CLI options should configure the chain and replay directory', () => {
+    expect(() => getScraperOptions({ 'fetch-chain': ',' })).toThrow('Invalid fetch chain: ,');
+    expect(getScraperOptions({ 'fetch-chain': 'direct, decodo' })).toEqual({ fetchChain: ['direct', 'decodo'] });
+
+    const options = getScraperOptions({ 'replay-dir': 'recordings' });
+    expect(options.fetchChain).toEqual(['replay']);
+    expect(options.fetchers.replay).toBeInstanceOf(ReplayFetcher);
+  });
+});
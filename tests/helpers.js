@@ -0,0 +1,32 @@
+import { fileURLToPath } from 'url';
+
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Absolute path of a file under tests/fixtures
+ * @param {string} path - Path relative to tests/fixtures
+ * @returns {string} - Absolute path
+ */
+export function fixturePath(path) {
+  return fileURLToPath(new URL(`./fixtures/${path}`, import.meta.url));
+}
+
+/**
+ * Minimal product page with the price in Open Graph product meta tags
+ * @param {string} price - Price amount (e.g. '19.99')
+ * @returns {string} - HTML
+ */
+export function pageWithPrice(price) {
+  return `<meta property="product:price:amount" content="${price}"><meta property="product:price:currency" content="USD">`;
+}
+
+/**
+ * Minimal product page with the price in schema.org JSON-LD
+ * @param {string} price - Price amount (e.g. '19.99')
+ * @returns {string} - HTML
+ */
+export function jsonLdPageWithPrice(price) {
+  return `<script type="application/ld+json">{"@type":"Product","offers":{"price":"${price}","priceCurrency":"USD"}}</script>`;
+}
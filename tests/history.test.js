@@ -0,0 +1,124 @@
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PriceScraper } from '../src/scraper.js';
+import { PriceHistory } from '../src/history/priceHistory.js';
+import { MemoryHistoryStore } from '../src/history/memoryStore.js';
+import { JsonFileHistoryStore } from '../src/history/jsonFileStore.js';
+import { jsonLdPageWithPrice } from './helpers.js';
+
+/**
+ * Price history and change detection tests
+ */
+
+describe('Price History', () => {
+  test('track should report no change for the first price', async () => {
+    const history = new PriceHistory(new MemoryHistoryStore());
+    const change = await history.track('https://example.com/p/1', { price: 199, currency: 'USD' });
+    expect(change).toEqual({ previousPrice: null, changePercent: null, suspiciousChange: false });
+  });
+
+  test('track should flag changes above the threshold', async () => {
+    const history = new PriceHistory(new MemoryHistoryStore());
+    await history.track('key', { price: 199, currency: 'USD' });
+
+    expect(await history.track('key', { price: 179.1, currency: 'USD' }))
+      .toEqual({ previousPrice: 199, changePercent: -10, suspiciousChange: false });
+    expect(await history.track('key', { price: 1.99, currency: 'USD' }))
+      .toMatchObject({ previousPrice: 179.1, suspiciousChange: true });
+  });
+
+  test('track should flag currency switches', async () => {
+    const history = new PriceHistory(new MemoryHistoryStore());
+    await history.track('key', { price: 20, currency: 'USD' });
+    expect(await history.track('key', { price: 20, currency: 'EUR' }))
+      .toEqual({ previousPrice: 20, changePercent: null, suspiciousChange: true });
+  });
+});
+
+describe('JSON File History Store', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'price-history-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should persist records and reload them', async () => {
+    const path = join(dir, 'history.json');
+    const store = new JsonFileHistoryStore(path, { maxRecords: 2 });
+
+    await store.append('key', { price: 1 });
+    await store.append('key', { price: 2 });
+    await store.append('key', { price: 3 });
+
+    const reloaded = new JsonFileHistoryStore(path);
+    expect(await reloaded.getHistory('key')).toEqual([{ price: 2 }, { price: 3 }]);
+    expect(await reloaded.getLatest('key')).toEqual({ price: 3 });
+    expect(JSON.parse(await readFile(path, 'utf8'))).toEqual({ key: [{ price: 2 }, { price: 3 }] });
+  });
+
+  test('should keep every record appended concurrently', async () => {
+    const path = join(dir, 'history.json');
+    const store = new JsonFileHistoryStore(path);
+
+    await Promise.all(['a', 'b', 'c'].map((key, index) => store.append(key, { price: index })));
+    await Promise.all(['d', 'e'].map((key, index) => store.append(key, { price: index })));
+
+    expect(Object.keys(JSON.parse(await readFile(path, 'utf8'))).sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(await new JsonFileHistoryStore(path).getHistory('c')).toEqual([{ price: 2 }]);
+  });
+
+  test('should save later appends after a failed save', async () => {
+    const path = join(dir, 'history.json');
+    const store = new JsonFileHistoryStore(path);
+    const save = store.save.bind(store);
+    let failures = 1;
+    store.save = async data => {
+      if (failures-- > 0) throw Object.assign(new Error('No space left on device'), { code: 'ENOSPC' });
+      return save(data);
+    };
+
+    await expect(store.append('key', { price: 1 })).rejects.toThrow('No space left on device');
+    await store.append('key', { price: 2 });
+
+    expect(await new JsonFileHistoryStore(path).getHistory('key')).toEqual([{ price: 1 }, { price: 2 }]);
+  });
+
+  test('should start empty when the file does not exist', async () => {
+    const store = new JsonFileHistoryStore(join(dir, 'missing.json'));
+    expect(await store.getLatest('key')).toBeNull();
+  });
+});
+
+describe('getPrice history tracking', () => {
+  test('should add previous price and flag suspicious drops', async () => {
+    const scraper = new PriceScraper('test-key', { historyStore: new MemoryHistoryStore() });
+    const url = 'https://example.com/p/1';
+
+    scraper.fetchHtml = async () => jsonLdPageWithPrice('199.00');
+    const first = await scraper.getPrice(url);
+    expect(first).toMatchObject({ price: 199, previousPrice: null, suspiciousChange: false });
+
+    scraper.fetchHtml = async () => jsonLdPageWithPrice('1.99');
+    const second = await scraper.getPrice(url);
+    expect(second).toMatchObject({ price: 1.99, previousPrice: 199, changePercent: -99, suspiciousChange: true });
+    expect(second.warnings).toContain('Suspicious price change: price changed -99% from 199');
+  });
+  test('extractFromHtml should only record saved pages when asked to track', async () => {
+    const store = new MemoryHistoryStore();
+    const scraper = new PriceScraper(null, { historyStore: store });
+    const url = 'https://example.com/p/1';
+
+    const archived = await scraper.extractFromHtml(jsonLdPageWithPrice('199.00'), { url });
+    expect(archived.previousPrice).toBeUndefined();
+    expect(await store.getHistory(url)).toEqual([]);
+
+    const tracked = await scraper.extractFromHtml(jsonLdPageWithPrice('189.00'), { url, track: true });
+    expect(tracked).toMatchObject({ price: 189, previousPrice: null });
+    expect(await store.getHistory(url)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,224 @@
+import { mkdtemp, mkdir, readFile, appendFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { PriceScraper } from '../src/scraper.js';
+import { JobManager, formatJobReport } from '../src/jobs/jobManager.js';
+import { MemoryJobStore } from '../src/jobs/memoryStore.js';
+import { JsonlFileJobStore } from '../src/jobs/jsonlFileStore.js';
+import { run, EXIT_CODES } from '../src/cli.js';
+import { UpstreamError } from '../src/utils/errors.js';
+import { pageWithPrice } from './helpers.js';
+
+/**
+ * Resumable batch job tests (stores, resume, retry of failures, reports)
+ */
+
+/**
+ * Scraper whose fetches are served from pages; URLs not in pages fail to fetch
+ */
+function createScraper(pages, fetched = []) {
+  const scraper = new PriceScraper('test-key', { maxRetries: 1 });
+  scraper.fetchHtml = async url => {
+    fetched.push(url);
+    if (!(url in pages)) throw new UpstreamError('Failed to fetch HTML after 1 attempts: 503', { status: 503 });
+    return pages[url];
+  };
+  return scraper;
+}
+
+const URLS = [
+  'https://shop.example.com/p/1',
+  'https://shop.example.com/p/2',
+  'https://shop.example.com/p/3',
+  'https://shop.example.com/p/4'
+];
+
+describe('Job Stores', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'jobs-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('MemoryJobStore should copy jobs and reject duplicate IDs', async () => {
+    const store = new MemoryJobStore();
+    const job = { id: 'a', items: [{ status: 'pending' }] };
+
+    await store.createJob(job);
+    job.items[0].status = 'done';
+
+    expect((await store.getJob('a')).items[0].status).toBe('pending');
+    expect(await store.getJob('missing')).toBeNull();
+    await expect(store.createJob(job)).rejects.toThrow('Job already exists: a');
+  });
+
+  test('JsonlFileJobStore should replay item updates and skip a truncated line', async () => {
+    const store = new JsonlFileJobStore(dir);
+    await store.createJob({ id: 'nightly', items: [{ status: 'pending' }, { status: 'pending' }] });
+    await store.updateItem('nightly', 1, { status: 'done' });
+
+    // Simulate a crash in the middle of writing a checkpoint
+    await appendFile(join(dir, 'nightly.jsonl'), '{"type":"item","index":0,"sta');
+
+    const reloaded = new JsonlFileJobStore(dir);
+    expect((await reloaded.getJob('nightly')).items).toEqual([{ status: 'pending' }, { status: 'done' }]);
+
+    await reloaded.updateItem('nightly', 0, { status: 'failed' });
+    expect((await reloaded.getJob('nightly')).items).toEqual([{ status: 'failed' }, { status: 'done' }]);
+    expect((await readFile(join(dir, 'nightly.jsonl'), 'utf8')).split('\n').slice(2)).toEqual([
+      '{"type":"item","index":0,"sta',
+      '{"type":"item","index":0,"status":"failed"}',
+      ''
+    ]);
+  });
+
+  test('JsonlFileJobStore should keep checkpointing after a failed write', async () => {
+    const store = new JsonlFileJobStore(dir);
+    await store.createJob({ id: 'nightly', items: [{ status: 'pending' }] });
+
+    // A directory in place of the job file makes the append fail
+    await mkdir(join(dir, 'broken.jsonl'));
+    await expect(store.updateItem('broken', 0, { status: 'done' })).rejects.toMatchObject({ code: 'EISDIR' });
+
+    await store.updateItem('nightly', 0, { status: 'done' });
+    expect((await new JsonlFileJobStore(dir).getJob('nightly')).items).toEqual([{ status: 'done' }]);
+  });
+
+  test('JsonlFileJobStore should reject unsafe job IDs and duplicates', async () => {
+    const store = new JsonlFileJobStore(dir);
+    await store.createJob({ id: 'a', items: [] });
+
+    await expect(store.createJob({ id: 'a', items: [] })).rejects.toThrow('Job already exists: a');
+    await expect(store.getJob('../a')).rejects.toThrow('Invalid job ID: ../a');
+    expect(await store.getJob('missing')).toBeNull();
+  });
+});
+
+describe('Job Manager', () => {
+  test('should record per-URL state and report by vendor and error type', async () => {
+    const urls = ['https://www.walmart.com/ip/46470587', 'https://www.amazon.com/dp/B08N5WRWNW', ...URLS.slice(0, 2)];
+    const jobs = new JobManager(createScraper({
+      [urls[0]]: pageWithPrice('19.99'),
+      [urls[1]]: '<html></html>',
+      [urls[2]]: pageWithPrice('5.00')
+    }));
+
+    const created = await jobs.create(urls, { id: 'nightly' });
+    expect(created).toMatchObject({ total: 4, pending: 4, successRate: null });
+
+    const report = await jobs.run('nightly');
+
+    expect(report).toMatchObject({ total: 4, done: 2, failed: 2, pending: 0, successRate: 50 });
+    expect(report.vendors).toEqual({
+      walmart: { total: 1, done: 1, failed: 0, pending: 0, successRate: 100 },
+      amazon: { total: 1, done: 0, failed: 1, pending: 0, successRate: 0 },
+      generic: { total: 2, done: 1, failed: 1, pending: 0, successRate: 50 }
+    });
+    expect(report.errors).toEqual({
+      NOT_EXTRACTED: { count: 1, percent: 50, vendors: { amazon: 1 } },
+      UPSTREAM_ERROR: { count: 1, percent: 50, vendors: { generic: 1 } }
+    });
+
+    const job = await jobs.getJob('nightly');
+    expect(job.items[3]).toMatchObject({
+      status: 'failed',
+      attempts: 1,
+      errorCode: 'UPSTREAM_ERROR',
+      lastError: expect.stringMatching(/^Failed to fetch HTML/)
+    });
+    expect((await jobs.getResults('nightly')).map(result => result.price ?? null)).toEqual([19.99, null, 5, null]);
+
+    expect(formatJobReport(report)).toContain('job nightly: 2 done, 2 failed, 0 pending (50% success)');
+  });
+
+  test('should resume without refetching finished URLs', async () => {
+    const pages = Object.fromEntries(URLS.map(url => [url, pageWithPrice('1.00')]));
+    const store = new MemoryJobStore();
+    const controller = new AbortController();
+
+    const first = new JobManager(createScraper(pages), { store });
+    first.scraper.scheduler.concurrency = 1;
+    await first.create(URLS, { id: 'nightly' });
+
+    // Cancel after the first URL finishes: the rest stay pending
+    const interrupted = await first.run('nightly', { signal: controller.signal, onProgress: () => controller.abort() });
+    expect(interrupted).toMatchObject({ done: 1, pending: 3 });
+
+    const fetched = [];
+    const resumed = await new JobManager(createScraper(pages, fetched), { store }).run('nightly');
+
+    expect(resumed).toMatchObject({ done: 4, failed: 0, pending: 0 });
+    expect(fetched).toEqual(URLS.slice(1));
+  });
+
+  test('should re-run only failures when asked', async () => {
+    const pages = { [URLS[0]]: pageWithPrice('1.00') };
+    const store = new MemoryJobStore();
+    await new JobManager(createScraper(pages), { store }).create(URLS.slice(0, 2), { id: 'nightly' });
+    await new JobManager(createScraper(pages), { store }).run('nightly');
+
+    const fetched = [];
+    const jobs = new JobManager(createScraper({ ...pages, [URLS[1]]: pageWithPrice('2.00') }, fetched), { store });
+
+    expect(await jobs.run('nightly')).toMatchObject({ done: 1, failed: 1 });
+    expect(fetched).toEqual([]);
+
+    expect(await jobs.run('nightly', { onlyFailed: true })).toMatchObject({ done: 2, failed: 0 });
+    expect(fetched).toEqual([URLS[1]]);
+    expect((await jobs.getJob('nightly')).items[1]).toMatchObject({ status: 'done', attempts: 2, lastError: null });
+  });
+
+  test('should fail for unknown jobs', async () => {
+    await expect(new JobManager(createScraper({})).run('missing')).rejects.toThrow('Job not found: missing');
+  });
+});
+
+describe('job CLI command', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'jobs-cli-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  function createIo(pages, fetched, stdinContent = '') {
+    const io = {
+      out: '',
+      err: '',
+      env: { DECODO_API_KEY: 'test-key' },
+      stdin: Readable.from([stdinContent]),
+      stdout: { write: chunk => { io.out += chunk; } },
+      stderr: { write: chunk => { io.err += chunk; } },
+      createScraper: () => createScraper(pages, fetched)
+    };
+    return io;
+  }
+
+  test('should create a job from stdin, then resume it with --retry-failed', async () => {
+    const fetched = [];
+    const args = ['job', 'nightly', '--job-dir', dir, '--format', 'json'];
+
+    const first = createIo({ [URLS[2]]: pageWithPrice('1.00') }, fetched, `${URLS[2]}\n${URLS[3]}\n`);
+    expect(await run(args, first)).toBe(EXIT_CODES.FETCH_FAILED);
+    expect(JSON.parse(first.out)).toMatchObject({ id: 'nightly', done: 1, failed: 1 });
+
+    const second = createIo({ [URLS[2]]: pageWithPrice('1.00'), [URLS[3]]: pageWithPrice('2.00') }, fetched);
+    expect(await run([...args, '--retry-failed'], second)).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(second.out)).toMatchObject({ done: 2, failed: 0, successRate: 100 });
+    expect(fetched).toEqual([URLS[2], URLS[3], URLS[3]]);
+  });
+
+  test('should require a job ID', async () => {
+    const io = createIo({}, []);
+    expect(await run(['job'], io)).toBe(EXIT_CODES.USAGE);
+    expect(io.err).toBe('job requires a job ID\n');
+  });
+});
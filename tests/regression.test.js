@@ -0,0 +1,65 @@
+import { fileURLToPath } from 'url';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PriceScraper } from '../src/scraper.js';
+import { loadFixtures, runFixtures, diffResult, formatReport, captureFixture } from '../src/regression/harness.js';
+
+/**
+ * Golden-fixture regression tests
+ * Every page in tests/fixtures/<vendor>/ must match its expectations file
+ */
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures', import.meta.url));
+const fixtures = await loadFixtures(FIXTURES_DIR);
+
+describe('Golden Fixtures', () => {
+  test.each(fixtures.map(fixture => [`${fixture.vendor}/${fixture.name}`, fixture]))('%s', async (_, fixture) => {
+    const report = await runFixtures(new PriceScraper(), [fixture]);
+    expect(report.results[0].error).toBeUndefined();
+    expect(report.results[0].diffs).toEqual([]);
+  });
+
+  test('should cover every vendor extractor', () => {
+    expect(new Set(fixtures.map(fixture => fixture.vendor))).toEqual(new Set(['amazon', 'bestbuy', 'target', 'walmart']));
+  });
+});
+
+describe('Fixture Harness', () => {
+  test('diffResult should compare fields and source method', () => {
+    const actual = { price: 10, currency: 'USD', source: { extractor: 'amazon', method: 'extractFromOffers' } };
+
+    expect(diffResult(actual, { price: 10, method: 'extractFromOffers' })).toEqual([]);
+    expect(diffResult(actual, { price: 12, salePrice: null, method: 'extractFromJsonData' })).toEqual([
+      { field: 'price', expected: 12, actual: 10 },
+      { field: 'method', expected: 'extractFromJsonData', actual: 'extractFromOffers' }
+    ]);
+  });
+
+  test('runFixtures should report per-vendor pass rates', async () => {
+    const passing = fixtures.find(fixture => fixture.vendor === 'amazon');
+    const failing = { ...passing, name: 'wrong', expected: { price: 1 } };
+    const report = await runFixtures(new PriceScraper(), [passing, failing]);
+
+    expect(report).toMatchObject({ total: 2, passed: 1, failed: 1, vendors: { amazon: { total: 2, passed: 1, passRate: 50 } } });
+    expect(formatReport(report)).toContain('FAIL amazon/wrong\n  price: expected 1');
+  });
+
+  test('captureFixture should save HTML and seeded expectations', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'fixtures-'));
+    const scraper = new PriceScraper('test-key');
+    scraper.fetchHtml = async () => '<meta property="product:price:amount" content="5.49"><meta property="product:price:currency" content="USD">';
+
+    try {
+      const { htmlPath, expected } = await captureFixture(scraper, 'https://shop.example.com/p/1', { dir, name: 'og-meta' });
+      const [loaded] = await loadFixtures(dir);
+
+      expect(htmlPath).toBe(join(dir, 'generic', 'og-meta.html'));
+      expect(expected).toMatchObject({ price: 5.49, currency: 'USD', method: 'extractFromOpenGraph' });
+      expect(loaded).toMatchObject({ vendor: 'generic', name: 'og-meta', url: 'https://shop.example.com/p/1', expected });
+      expect(await readFile(htmlPath, 'utf8')).toContain('5.49');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -1,8 +1,20 @@
 import { PriceScraper } from '../src/scraper.js';
 import { AmazonExtractor } from '../src/extractors/amazon.js';
 import { WalmartExtractor } from '../src/extractors/walmart.js';
-import { parsePrice, normalizePrice } from '../src/utils/priceParser.js';
-import { validatePriceData } from '../src/utils/validator.js';
+import { ExtractorRegistry } from '../src/extractors/registry.js';
+import {
+  parsePrice,
+  normalizePrice,
+  parseUnitPrice,
+  parseCouponDiscount,
+  parseShippingCost
+} from '../src/utils/priceParser.js';
+import { validatePriceData, isOutOfStock } from '../src/utils/validator.js';
+import { resolveCurrency } from '../src/utils/currency.js';
+import { withSource, scoreConfidence, pickConsensus } from '../src/utils/provenance.js';
+import { parseAvailabilityText, parseAvailabilityValue } from '../src/utils/availability.js';
+import { parsePriceVisibility } from '../src/utils/priceVisibility.js';
+import { normalizeUrl } from '../src/utils/productUrl.js';
 
 /**
  * Basic test suite for price scraper
@@ -19,12 +31,101 @@ describe('Price Parser Utilities', () => {
     expect(parsePrice('')).toBeNull();
   });
 
+  test('parsePrice should detect decimal and grouping separators', () => {
+    expect(parsePrice('€1.234,56')).toBe(1234.56);
+    expect(parsePrice('1\u202f234,56\u00a0€')).toBe(1234.56);
+    expect(parsePrice('₹1,23,456.78')).toBe(123456.78);
+    expect(parsePrice('$1,299.99')).toBe(1299.99);
+    expect(parsePrice('$29.99 - $39.99')).toBe(29.99);
+  });
+
+  test('parsePrice should use locale conventions when given', () => {
+    expect(parsePrice('1.234', { locale: 'de-DE' })).toBe(1234);
+    expect(parsePrice('29,99 €', { locale: 'de-DE' })).toBe(29.99);
+    expect(parsePrice('1\u202f234,56 €', { locale: 'fr-FR' })).toBe(1234.56);
+    expect(parsePrice('₹1,23,456.78', { locale: 'en-IN' })).toBe(123456.78);
+    expect(parsePrice('￥1,234', { locale: 'ja-JP' })).toBe(1234);
+    expect(parsePrice('1,234', { locale: 'en-US' })).toBe(1234);
+  });
+
   test('normalizePrice should create valid price object', () => {
     const result = normalizePrice({ price: '$29.99' });
     expect(result).toBeTruthy();
     expect(result.price).toBe(29.99);
     expect(result.currency).toBe('USD');
   });
+
+  test('parseUnitPrice should split amount and unit of measure', () => {
+    expect(parseUnitPrice('$0.25/oz')).toEqual({ unitPrice: 0.25, unitOfMeasure: 'oz' });
+    expect(parseUnitPrice('($0.57 / Ounce)')).toEqual({ unitPrice: 0.57, unitOfMeasure: 'ounce' });
+    expect(parseUnitPrice('14.1 ¢/fl oz')).toEqual({ unitPrice: 0.141, unitOfMeasure: 'fl oz' });
+    expect(parseUnitPrice('$12.99')).toBeNull();
+  });
+
+  test('parseCouponDiscount and parseShippingCost should handle text forms', () => {
+    expect(parseCouponDiscount('Apply $2.00 coupon', 19.98)).toBe(2);
+    expect(parseCouponDiscount('Save 10% with coupon', 19.98)).toBe(2);
+    expect(parseShippingCost('FREE delivery Tuesday')).toBe(0);
+    expect(parseShippingCost('+ $5.99 shipping')).toBe(5.99);
+    expect(parseShippingCost(null)).toBeNull();
+  });
+
+  test('normalizePrice should compute effectivePrice from coupon and shipping', () => {
+    const result = normalizePrice({
+      price: '$29.99',
+      listPrice: '$34.99',
+      subscribePrice: '$28.49',
+      couponDiscount: '$5 off',
+      shippingCost: '$4.99',
+      unitPrice: '$0.25/oz'
+    });
+
+    expect(result).toMatchObject({
+      price: 29.99,
+      listPrice: 34.99,
+      subscribePrice: 28.49,
+      clubPrice: null,
+      couponDiscount: 5,
+      shippingCost: 4.99,
+      unitPrice: 0.25,
+      unitOfMeasure: 'oz',
+      effectivePrice: 29.98
+    });
+    expect(normalizePrice({ price: '$29.99' }).effectivePrice).toBe(29.99);
+  });
+});
+
+describe('Currency Resolution', () => {
+  test('resolveCurrency should recognize codes, symbols and prefixed dollars', () => {
+    expect(resolveCurrency('CHF 12.00')).toMatchObject({ code: 'CHF', confidence: 'high' });
+    expect(resolveCurrency('12,00 zł')).toMatchObject({ code: 'PLN', confidence: 'high' });
+    expect(resolveCurrency('CA$19.99')).toMatchObject({ code: 'CAD', confidence: 'high' });
+    expect(resolveCurrency('A$19.99').code).toBe('AUD');
+    expect(resolveCurrency('MX$199.00').code).toBe('MXN');
+    expect(resolveCurrency('R$ 59,90').code).toBe('BRL');
+    expect(resolveCurrency('€25,50').code).toBe('EUR');
+  });
+
+  test('resolveCurrency should use domain to disambiguate shared symbols', () => {
+    expect(resolveCurrency('$19.99', { url: 'https://www.amazon.ca/dp/B0' })).toMatchObject({ code: 'CAD', confidence: 'medium' });
+    expect(resolveCurrency('199 kr', { url: 'https://www.amazon.se/dp/B0' }).code).toBe('SEK');
+    expect(resolveCurrency('¥1,234', { url: 'https://www.amazon.co.jp/dp/B0' }).code).toBe('JPY');
+    expect(resolveCurrency('$19.99', { url: 'walmart.ca/ip/1' })).toMatchObject({ code: 'CAD', confidence: 'medium' });
+    expect(resolveCurrency('$19.99')).toMatchObject({ code: 'USD', confidence: 'low' });
+  });
+
+  test('resolveCurrency should prefer the store currency over the domain', () => {
+    expect(resolveCurrency('$19.99', { url: 'https://shop.example.com', defaultCurrency: 'CAD' }))
+      .toMatchObject({ code: 'CAD', confidence: 'medium', source: 'marketplace' });
+    expect(resolveCurrency('19.99', { url: 'https://shop.example.com', defaultCurrency: 'JPY' }).code).toBe('JPY');
+    expect(resolveCurrency('£19.99', { defaultCurrency: 'USD' }).code).toBe('GBP');
+  });
+
+  test('resolveCurrency should prefer priceCurrency metadata', () => {
+    expect(resolveCurrency('19.99', { priceCurrency: 'gbp', url: 'https://example.com' }))
+      .toMatchObject({ code: 'GBP', confidence: 'high', source: 'metadata' });
+    expect(resolveCurrency('19.99')).toMatchObject({ code: 'USD', confidence: 'low', source: 'default' });
+  });
 });
 
 describe('Price Validator', () => {
@@ -34,6 +135,18 @@ describe('Price Validator', () => {
     expect(result.isValid).toBe(true);
   });
 
+  test('validatePriceData should flag low-confidence currency', () => {
+    const result = validatePriceData(normalizePrice({ price: '19.99' }));
+    expect(result.isValid).toBe(true);
+    expect(result.errors[0]).toMatch(/USD is low confidence/);
+  });
+
+  test('isOutOfStock should use availability detection', () => {
+    expect(isOutOfStock('<div class="availability">Sold out</div>')).toBe(true);
+    expect(isOutOfStock('<div class="availability">In stock</div><footer>Gift cards unavailable</footer>')).toBe(false);
+    expect(isOutOfStock('')).toBe(false);
+  });
+
   test('validatePriceData should reject invalid prices', () => {
     const invalidPrice = { price: 0 };
     const result = validatePriceData(invalidPrice);
@@ -52,6 +165,353 @@ describe('Vendor Detection', () => {
     const scraper = new PriceScraper('test-key');
     expect(scraper.detectVendor('https://walmart.com/product')).toBe('walmart');
   });
+
+  test('detectVendor should identify Target and Best Buy URLs', () => {
+    const scraper = new PriceScraper('test-key');
+    expect(scraper.detectVendor('https://www.target.com/p/-/A-81114477')).toBe('target');
+    expect(scraper.detectVendor('https://www.bestbuy.com/site/6505727.p')).toBe('bestbuy');
+  });
+
+  test('detectVendor should match hostnames on label boundaries', () => {
+    const scraper = new PriceScraper('test-key');
+    expect(scraper.detectVendor('https://smile.amazon.com/dp/B08N5WRWNW')).toBe('amazon');
+    expect(scraper.detectVendor('amazon.de/dp/B08N5WRWNW')).toBe('amazon');
+    expect(scraper.detectVendor('https://notamazon.example/dp/B08N5WRWNW')).toBe('generic');
+    expect(scraper.detectVendor('https://shop.example.com/?from=www.walmart.com')).toBe('generic');
+    expect(scraper.detectVendor('https://target.com.example.net/p/1')).toBe('generic');
+  });
+
+  test('detectVendor should only accept real Amazon and Walmart domains', () => {
+    const scraper = new PriceScraper('test-key');
+    expect(scraper.detectVendor('https://www.amazon.com.mx/dp/B08N5WRWNW')).toBe('amazon');
+    expect(scraper.detectVendor('https://www.walmart.ca/en/ip/6000201234567')).toBe('walmart');
+    expect(scraper.detectVendor('https://www.amazon.evil.example/dp/B08N5WRWNW')).toBe('generic');
+    expect(scraper.detectVendor('https://amazon.com.evil.io/dp/B08N5WRWNW')).toBe('generic');
+    expect(scraper.detectVendor('https://walmart.fakeshop.com/ip/46470587')).toBe('generic');
+    expect(scraper.getProductKey('https://www.amazon.evil.example/dp/B08N5WRWNW'))
+      .toBe('generic:https://amazon.evil.example/dp/B08N5WRWNW');
+  });
+});
+
+describe('Product Keys', () => {
+  const scraper = new PriceScraper('test-key');
+
+  test('getProductKey should give every Amazon URL of a product the same key', () => {
+    const urls = [
+      'https://www.amazon.com/dp/B08N5WRWNW',
+      'https://amazon.com/Echo-Dot/dp/B08N5WRWNW/ref=sr_1_1?keywords=echo&qid=1700000000',
+      'https://smile.amazon.com/gp/product/B08N5WRWNW?psc=1',
+      'https://www.amazon.com/gp/aw/d/b08n5wrwnw#reviews'
+    ];
+
+    expect(urls.map(url => scraper.getProductKey(url))).toEqual(Array(4).fill('amazon:US:B08N5WRWNW'));
+    expect(scraper.getProductKey('https://www.amazon.co.uk/dp/B08N5WRWNW')).toBe('amazon:GB:B08N5WRWNW');
+  });
+
+  test('getProductKey should use vendor item IDs', () => {
+    expect(scraper.getProductKey('https://www.walmart.com/ip/Tide-Liquid-Detergent/46470587?athbdg=L1600')).toBe('walmart:46470587');
+    expect(scraper.getProductKey('https://walmart.com/ip/46470587')).toBe('walmart:46470587');
+    expect(scraper.getProductKey('https://www.target.com/p/echo-dot/-/A-81114477#lnk=sametab')).toBe('target:81114477');
+    expect(scraper.getProductKey('https://www.bestbuy.com/site/airpods/6505727.p?skuId=6505727')).toBe('bestbuy:6505727');
+  });
+
+  test('getProductKey should fall back to the normalized URL', () => {
+    expect(scraper.getProductKey('https://WWW.Shop.example.com/p/1/?utm_source=mail&color=red&size=m#top'))
+      .toBe('generic:https://shop.example.com/p/1?color=red&size=m');
+  });
+
+  test('normalizeUrl should keep parameters that select a product or seller', () => {
+    expect(normalizeUrl('http://www.amazon.com/dp/B08N5WRWNW?smid=ATVPDKIKX0DER&ref_=ast_sto_dp&pd_rd_w=abc'))
+      .toBe('https://amazon.com/dp/B08N5WRWNW?smid=ATVPDKIKX0DER');
+    expect(normalizeUrl('not a url')).toBe('not a url');
+  });
+
+  test('getPricesBatch should fetch each product once and return a result per URL', async () => {
+    const batchScraper = new PriceScraper('test-key');
+    const fetched = [];
+    batchScraper.fetchHtml = async url => {
+      fetched.push(url);
+      return '<div id="priceToPay"><span class="a-offscreen">$49.99</span></div>';
+    };
+
+    const urls = [
+      'https://www.amazon.com/dp/B08N5WRWNW?tag=aff-20',
+      'https://shop.example.com/p/1',
+      'https://smile.amazon.com/gp/product/B08N5WRWNW',
+      null
+    ];
+    const results = await batchScraper.getPricesBatch(urls);
+
+    expect(fetched).toEqual([urls[0], urls[1]]);
+    expect(results.map(result => result.url)).toEqual(urls);
+    expect(results[0]).toMatchObject({ vendor: 'amazon', price: 49.99 });
+    expect(results[2]).toMatchObject({ vendor: 'amazon', price: 49.99 });
+    expect(results[2]).not.toBe(results[0]);
+    expect(results[3]).toMatchObject({ error: 'Valid URL is required', available: false });
+  });
+
+  test('getPricesBatch should fetch every URL with dedupe disabled', async () => {
+    const batchScraper = new PriceScraper('test-key');
+    let fetches = 0;
+    batchScraper.fetchHtml = async () => {
+      fetches++;
+      return '<div id="priceToPay"><span class="a-offscreen">$49.99</span></div>';
+    };
+
+    await batchScraper.getPricesBatch(['https://amazon.com/dp/B08N5WRWNW', 'https://www.amazon.com/dp/B08N5WRWNW'], { dedupe: false });
+    expect(fetches).toBe(2);
+  });
+});
+
+describe('Extractor Registry', () => {
+  test('registerExtractor should add a vendor detected by hostname', () => {
+    const scraper = new PriceScraper('test-key');
+    scraper.registerExtractor('newvendor', {
+      hostPatterns: ['newvendor.com'],
+      extractor: { extract: () => ({ price: 9.99, currency: 'USD' }) }
+    });
+
+    expect(scraper.detectVendor('https://www.newvendor.com/item/1')).toBe('newvendor');
+    expect(scraper.registry.getExtractorChain('newvendor').map(e => e.name)).toEqual(['newvendor']);
+  });
+
+  test('detect should prefer higher priority vendors', () => {
+    const registry = new ExtractorRegistry();
+    registry.register('marketplace', { hostPatterns: ['shop.'], extractor: { extract: () => null } });
+    registry.register('specific', {
+      hostPatterns: [/^shop\.example\.com$/],
+      extractor: { extract: () => null },
+      priority: 10
+    });
+
+    expect(registry.detect('https://shop.example.com/p/1')).toBe('specific');
+    expect(registry.detect('https://shop.other.com/p/1')).toBe('marketplace');
+    expect(registry.detect('https://unknown.com/p/1')).toBe('generic');
+  });
+
+  test('getExtractorChain should follow fallbacks', () => {
+    const scraper = new PriceScraper('test-key');
+    expect(scraper.registry.getExtractorChain('amazon').map(e => e.name)).toEqual(['amazon']);
+    expect(scraper.registry.getExtractorChain('generic').map(e => e.name)).toEqual(['generic', 'amazon', 'walmart']);
+    expect(scraper.registry.getExtractorChain('target').map(e => e.name)).toEqual(['target', 'generic']);
+  });
+
+  test('getExtractorChain should use the default chain for detection-only vendors', () => {
+    const scraper = new PriceScraper('test-key');
+    scraper.registerExtractor('newvendor', { hostPatterns: ['newvendor.com'] });
+    expect(scraper.registry.getExtractorChain('newvendor').map(e => e.name)).toEqual(['generic', 'amazon', 'walmart']);
+  });
+
+  test('register should reject extractors without extract()', () => {
+    const registry = new ExtractorRegistry();
+    expect(() => registry.register('broken', { extractor: {} })).toThrow('must implement extract(html)');
+  });
+});
+
+describe('Offline Extraction', () => {
+  const html = '<div id="priceToPay"><span class="a-offscreen">49,99 €</span></div>';
+
+  test('PriceScraper should be constructible without an API key', async () => {
+    const scraper = new PriceScraper();
+    await expect(scraper.fetchHtml('https://amazon.de/dp/B0')).rejects.toThrow('Decodo API key is required');
+    await expect(scraper.getPrice('https://amazon.de/dp/B0')).rejects.toThrow('Decodo API key is required');
+  });
+
+  test('extractFromHtml should run the full pipeline on saved HTML', async () => {
+    const scraper = new PriceScraper();
+    const result = await scraper.extractFromHtml(html, { url: 'https://www.amazon.de/dp/B0' });
+
+    expect(result).toMatchObject({ vendor: 'amazon', price: 49.99, currency: 'EUR', available: true });
+  });
+
+  test('extractFromHtml should honor vendor override and stock check', async () => {
+    const scraper = new PriceScraper();
+
+    expect((await scraper.extractFromHtml(html, { vendor: 'amazon' })).vendor).toBe('amazon');
+    expect(await scraper.extractFromHtml(`${html}<div id="availability">Currently unavailable.</div>`, { vendor: 'amazon' }))
+      .toMatchObject({ available: false, availability: 'OutOfStock' });
+  });
+
+  test('extractFromHtml should require HTML', async () => {
+    await expect(new PriceScraper().extractFromHtml('')).rejects.toThrow('HTML content is required');
+  });
+});
+
+describe('Availability Detection', () => {
+  const price = '<div id="priceToPay"><span class="a-offscreen">$19.99</span></div>';
+  const url = 'https://www.amazon.com/dp/B0';
+
+  test('parseAvailabilityText should classify stock messages', () => {
+    expect(parseAvailabilityText('In Stock')).toEqual({ status: 'InStock', quantity: null });
+    expect(parseAvailabilityText('Only 3 left in stock - order soon.')).toEqual({ status: 'LimitedStock', quantity: 3 });
+    expect(parseAvailabilityText('Currently unavailable.').status).toBe('OutOfStock');
+    expect(parseAvailabilityText("Temporarily out of stock. Order now and we'll deliver when available.").status).toBe('BackOrder');
+    expect(parseAvailabilityText('Available for Pre-order').status).toBe('PreOrder');
+    expect(parseAvailabilityText('Ships from Amazon')).toBeNull();
+  });
+
+  test('parseAvailabilityValue should map schema.org and state constants', () => {
+    expect(parseAvailabilityValue('https://schema.org/InStock')).toBe('InStock');
+    expect(parseAvailabilityValue('http://schema.org/SoldOut')).toBe('OutOfStock');
+    expect(parseAvailabilityValue('LimitedAvailability')).toBe('LimitedStock');
+    expect(parseAvailabilityValue('OUT_OF_STOCK')).toBe('OutOfStock');
+    expect(parseAvailabilityValue('Unknown')).toBeNull();
+  });
+
+  test('Amazon should ignore "unavailable" outside the buy box', async () => {
+    const html = `${price}
+      <div id="desktop_buybox"><div id="availability"><span>Only 2 left in stock.</span></div></div>
+      <div id="aod-offer-list">Other sellers: currently unavailable</div>
+      <script>var msg = "unavailable";</script>`;
+
+    const result = await new PriceScraper().extractFromHtml(html, { url });
+
+    expect(result).toMatchObject({ available: true, price: 19.99, availability: 'LimitedStock', stockQuantity: 2 });
+  });
+
+  test('Walmart should read availabilityStatus from its state', async () => {
+    const html = `<script>window.__WML_REDUX_INITIAL_STATE__ = {"product":{"price":{"current":{"price":3.74}},"availabilityStatus":"OUT_OF_STOCK"}};</script>`;
+    const scraper = new PriceScraper();
+
+    expect(await scraper.extractFromHtml(html, { url: 'https://www.walmart.com/ip/1' }))
+      .toMatchObject({ available: false, availability: 'OutOfStock', error: 'Product appears to be out of stock' });
+    expect(await scraper.extractFromHtml(html, { url: 'https://www.walmart.com/ip/1', allowOutOfStock: true }))
+      .toMatchObject({ available: true, price: 3.74, availability: 'OutOfStock' });
+  });
+
+  test('generic pages should use schema.org offers.availability', async () => {
+    const html = '<script type="application/ld+json">{"@type":"Product","offers":{"price":"19.99","priceCurrency":"USD","availability":"https://schema.org/PreOrder"}}</script><div class="related">Sold out</div>';
+    const result = await new PriceScraper().extractFromHtml(html, { url: 'https://shop.example.com/p/1' });
+
+    expect(result).toMatchObject({ available: true, availability: 'PreOrder', stockQuantity: null });
+  });
+
+  test('availability should be null when the page does not say', async () => {
+    const result = await new PriceScraper().extractFromHtml(price, { url });
+    expect(result.availability).toBeNull();
+  });
+});
+
+describe('Hidden Prices', () => {
+  test('parsePriceVisibility should classify hidden-price notices', () => {
+    expect(parsePriceVisibility('See price in cart')).toBe('cart');
+    expect(parsePriceVisibility('Add to cart to see price')).toBe('cart');
+    expect(parsePriceVisibility('Sign in to see pricing')).toBe('login');
+    expect(parsePriceVisibility('Call for price')).toBe('quote');
+    expect(parsePriceVisibility('$19.99')).toBeNull();
+  });
+
+  test('AmazonExtractor.isCartPrice should only check the price area', () => {
+    const extractor = new AmazonExtractor();
+
+    expect(extractor.isCartPrice('<div id="corePrice_feature_div"><a>See price in cart</a></div>')).toBe(true);
+    expect(extractor.isCartPrice('<div class="a-carousel-card">See price in cart</div>')).toBe(false);
+  });
+
+  test('hidden prices should fall back to embedded structured data', async () => {
+    const html = `
+      <script type="application/ld+json">{"@type":"Product","offers":{"price":"549.00","priceCurrency":"USD"}}</script>
+      <div class="product-price">Add to cart to see price</div>
+      <div class="related"><span class="price">$19.99</span></div>`;
+    const result = await new PriceScraper().extractFromHtml(html, { url: 'https://shop.example.com/p/1' });
+
+    expect(result).toMatchObject({ available: true, price: 549, priceVisibility: 'cart', source: { method: 'extractFromJsonLd' } });
+    expect(result.warnings).toContain('Price is hidden on the page (cart); reported price comes from extractFromJsonLd');
+  });
+
+  test('hidden prices without embedded data should say no public price exists', async () => {
+    const html = '<div class="price-box">Sign in to see price</div><div class="related"><span class="price">$19.99</span></div>';
+    const result = await new PriceScraper().extractFromHtml(html, { url: 'https://shop.example.com/p/1' });
+
+    expect(result).toMatchObject({
+      available: false,
+      priceVisibility: 'login',
+      error: 'No public price: price is only shown after signing in'
+    });
+  });
+
+  test('visible prices should be reported as public', async () => {
+    const result = await new PriceScraper().extractFromHtml('<span class="price">$19.99</span>', { url: 'https://shop.example.com/p/1' });
+    expect(result.priceVisibility).toBe('public');
+  });
+});
+
+describe('Extraction Provenance', () => {
+  const jsonLd = '<script type="application/ld+json">{"@type":"Product","offers":{"price":"19.99","priceCurrency":"USD"}}</script>';
+
+  test('scoreConfidence should rank structured data above broad selectors', () => {
+    const jsonLdPrice = withSource({ price: 10 }, 'extractFromJsonLd', 'script[type="application/ld+json"]');
+    const broadPrice = withSource({ price: 10 }, 'extractFromCommonSelectors', '[class*="price"]');
+
+    expect(scoreConfidence(jsonLdPrice)).toBe(0.9);
+    expect(scoreConfidence(broadPrice)).toBe(0.2);
+  });
+
+  test('scoreConfidence should reward agreement and penalize disagreement', () => {
+    const chosen = withSource({ price: 10 }, 'extractFromPriceToPay', '[id="priceToPay"]');
+    const agreeing = withSource({ price: 10 }, 'extractFromOffers', '.a-price');
+    const disagreeing = withSource({ price: 12 }, 'extractFromCorePrice', '[class*="a-price-whole"]');
+
+    expect(scoreConfidence(chosen, [chosen, agreeing])).toBe(0.9);
+    expect(scoreConfidence(chosen, [chosen, disagreeing])).toBe(0.75);
+  });
+
+  test('results should carry source and confidence', async () => {
+    const html = `${jsonLd}<span class="price">$19.99</span>`;
+    const result = await new PriceScraper().extractFromHtml(html, { url: 'https://shop.example.com/p/1' });
+
+    expect(result.source).toEqual({
+      extractor: 'generic',
+      method: 'extractFromJsonLd',
+      selectorOrPattern: 'script[type="application/ld+json"]'
+    });
+    expect(result.confidence).toBe(1);
+  });
+
+  test('minConfidence should reject weak matches', async () => {
+    const scraper = new PriceScraper();
+    const html = '<div class="product-price-box">$19.99</div>';
+
+    const weak = await scraper.extractFromHtml(html, { url: 'https://shop.example.com/p/1', minConfidence: 0.5 });
+    expect(weak).toMatchObject({ available: false, error: 'Extraction confidence 0.2 below minimum 0.5' });
+    expect(weak.rawPrice.price).toBe(19.99);
+
+    const strong = await scraper.extractFromHtml(jsonLd, { url: 'https://shop.example.com/p/1', minConfidence: 0.5 });
+    expect(strong).toMatchObject({ available: true, price: 19.99 });
+  });
+});
+
+describe('Consensus Extraction', () => {
+  // A sponsored offer comes before the product's own core price in the DOM
+  const html = `
+    <div class="sponsored"><span class="a-price"><span class="a-offscreen">$9.99</span></span></div>
+    <div id="corePrice_feature_div">
+      <span class="a-price-symbol">$</span><span class="a-price-whole">29</span><span class="a-price-fraction">99</span>
+    </div>`;
+  const url = 'https://www.amazon.com/dp/B0';
+
+  test('pickConsensus should prefer the price the most reliable methods agree on', () => {
+    const offers = withSource({ price: 9.99 }, 'extractFromOffers', '.a-price');
+    const jsonData = withSource({ price: 29.99 }, 'extractFromJsonData', 'script[type="application/ld+json"]');
+    const corePrice = withSource({ price: 29.99 }, 'extractFromCorePrice', '[class*="a-price-whole"]');
+
+    expect(pickConsensus([offers, corePrice, jsonData])).toEqual({ chosen: jsonData, dissenting: [offers] });
+    expect(pickConsensus([])).toEqual({ chosen: null, dissenting: [] });
+  });
+
+  test('first match wins by default', async () => {
+    const result = await new PriceScraper().extractFromHtml(html, { url });
+
+    expect(result.price).toBe(9.99);
+    expect(result.warnings).toBeUndefined();
+  });
+
+  test('consensus mode should pick the more reliable method and report disagreement', async () => {
+    const result = await new PriceScraper().extractFromHtml(html, { url, consensus: true });
+
+    expect(result).toMatchObject({ price: 29.99, source: { method: 'extractFromCorePrice' } });
+    expect(result.warnings).toContain('Extraction methods disagree: extractFromOffers found 9.99, extractFromCorePrice found 29.99');
+  });
 });
 
 // Note: Full integration tests require valid Decodo API key and test URLs